@@ -0,0 +1,391 @@
+/**
+ * Audio Export
+ * Encodes rendered channels as WAV (16/24-bit PCM or 32-bit float) or FLAC (16/24-bit).
+ * Works on plain Float32Array channels, so it knows nothing about audio contexts.
+ */
+
+// Samples per FLAC frame
+const FLAC_BLOCK_SIZE = 4096;
+
+// Highest fixed-predictor order tried for each FLAC subframe
+const FLAC_MAX_ORDER = 4;
+
+// Largest Rice parameter the 5-bit parameter method can code (31 is its escape code)
+const FLAC_MAX_RICE_PARAMETER = 30;
+
+/**
+ * Fade the start and end of the channels in place
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate - Samples per second of the channels
+ * @param {number} fadeIn - Seconds
+ * @param {number} fadeOut - Seconds
+ */
+export function applyFades(channels, sampleRate, fadeIn, fadeOut) {
+    channels.forEach(data => {
+        const inLength = Math.min(data.length, Math.round(fadeIn * sampleRate));
+        for (let i = 0; i < inLength; i++) {
+            data[i] *= i / inLength;
+        }
+
+        const outLength = Math.min(data.length, Math.round(fadeOut * sampleRate));
+        for (let i = 0; i < outLength; i++) {
+            data[data.length - 1 - i] *= i / outLength;
+        }
+    });
+}
+
+/**
+ * Float samples to signed integers, clipped to the bit depth's range
+ */
+function quantize(channels, bitDepth) {
+    const max = Math.pow(2, bitDepth - 1) - 1;
+    return channels.map(data => Int32Array.from(data, sample =>
+        Math.round(Math.max(-1, Math.min(1, sample)) * max)
+    ));
+}
+
+/**
+ * Interleaved RIFF WAV file
+ * @param {Float32Array[]} channels
+ * @param {number} bitDepth - 16 | 24 (PCM) | 32 (float)
+ * @returns {ArrayBuffer}
+ */
+export function encodeWav(channels, sampleRate, bitDepth) {
+    const float = bitDepth === 32;
+    const bytesPerSample = bitDepth / 8;
+    const frameCount = channels[0].length;
+    const blockAlign = channels.length * bytesPerSample;
+    const dataSize = frameCount * blockAlign;
+    // Non-PCM formats need a cbSize field in 'fmt ' and a 'fact' chunk with the frame count
+    const fmtSize = float ? 18 : 16;
+    const headerSize = 20 + fmtSize + (float ? 12 : 0) + 8;
+    const buffer = new ArrayBuffer(headerSize + dataSize);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, headerSize - 8 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, fmtSize, true);
+    view.setUint16(20, float ? 3 : 1, true); // 3 = IEEE float, 1 = PCM
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    let offset = 36;
+    if (float) {
+        view.setUint16(offset, 0, true); // cbSize: no extension
+        writeString(offset + 2, 'fact');
+        view.setUint32(offset + 6, 4, true);
+        view.setUint32(offset + 10, frameCount, true);
+        offset += 14;
+    }
+    writeString(offset, 'data');
+    view.setUint32(offset + 4, dataSize, true);
+    offset += 8;
+
+    const samples = float ? channels : quantize(channels, bitDepth);
+    for (let i = 0; i < frameCount; i++) {
+        for (let channel = 0; channel < channels.length; channel++) {
+            const sample = samples[channel][i];
+            if (float) {
+                view.setFloat32(offset, sample, true);
+            } else if (bitDepth === 16) {
+                view.setInt16(offset, sample, true);
+            } else {
+                view.setUint8(offset, sample & 0xff);
+                view.setUint8(offset + 1, (sample >> 8) & 0xff);
+                view.setUint8(offset + 2, (sample >> 16) & 0xff);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * Big-endian bit writer for the FLAC bitstream, filling a growing byte buffer
+ */
+class BitWriter {
+    constructor() {
+        this.buffer = new Uint8Array(1 << 16);
+        this.length = 0; // Whole bytes written
+        this.accumulator = 0; // Bits not yet written out (fewer than 8)
+        this.count = 0; // Bits in this.accumulator
+    }
+
+    pushByte(byte) {
+        if (this.length === this.buffer.length) {
+            const grown = new Uint8Array(this.buffer.length * 2);
+            grown.set(this.buffer);
+            this.buffer = grown;
+        }
+        this.buffer[this.length++] = byte;
+    }
+
+    /**
+     * Write the low `bits` bits of an unsigned value (up to 32 bits)
+     */
+    write(value, bits) {
+        // The accumulator holds at most 7 + 24 bits, so longer values go in two parts
+        if (bits > 24) {
+            this.write(Math.floor(value / 0x1000000), bits - 24);
+            this.write(value % 0x1000000, 24);
+            return;
+        }
+
+        this.accumulator = (this.accumulator << bits) | (value & ((1 << bits) - 1));
+        this.count += bits;
+        while (this.count >= 8) {
+            this.count -= 8;
+            this.pushByte((this.accumulator >>> this.count) & 0xff);
+        }
+        this.accumulator &= (1 << this.count) - 1;
+    }
+
+    /**
+     * Write a signed value in two's complement
+     */
+    writeSigned(value, bits) {
+        this.write(value < 0 ? value + Math.pow(2, bits) : value, bits);
+    }
+
+    /**
+     * Rice code: quotient in unary (zeros ended by a one), then the low `parameter` bits
+     */
+    writeRice(value, parameter) {
+        const folded = value >= 0 ? value * 2 : -value * 2 - 1; // Zigzag to unsigned
+        let quotient = folded >>> parameter;
+        const remainder = folded & ((1 << parameter) - 1);
+
+        while (quotient + 1 + parameter > 24 && quotient > 0) {
+            const zeros = Math.min(quotient, 24);
+            this.write(0, zeros);
+            quotient -= zeros;
+        }
+        if (quotient + 1 + parameter <= 24) {
+            this.write((1 << parameter) | remainder, quotient + 1 + parameter);
+        } else {
+            this.write(1, 1);
+            this.write(remainder, parameter);
+        }
+    }
+
+    /**
+     * Pad with zeros to the next byte boundary
+     */
+    align() {
+        if (this.count > 0) {
+            this.write(0, 8 - this.count);
+        }
+    }
+
+    toBytes() {
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+function crc8(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= bytes[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+        }
+    }
+    return crc;
+}
+
+function crc16(bytes, start, end) {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        crc ^= bytes[i] << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+    return crc;
+}
+
+/**
+ * Residual of a fixed polynomial predictor of the given order (0-4)
+ */
+function fixedResidual(samples, order) {
+    const residual = new Int32Array(samples.length - order);
+    for (let i = order; i < samples.length; i++) {
+        const s = samples;
+        let prediction = 0;
+        switch (order) {
+            case 1: prediction = s[i - 1]; break;
+            case 2: prediction = 2 * s[i - 1] - s[i - 2]; break;
+            case 3: prediction = 3 * s[i - 1] - 3 * s[i - 2] + s[i - 3]; break;
+            case 4: prediction = 4 * s[i - 1] - 6 * s[i - 2] + 4 * s[i - 3] - s[i - 4]; break;
+        }
+        residual[i - order] = s[i] - prediction;
+    }
+    return residual;
+}
+
+/**
+ * Bits of a Rice-coded residual
+ */
+function riceBits(residual, parameter) {
+    let bits = residual.length * (1 + parameter);
+    for (let i = 0; i < residual.length; i++) {
+        const value = residual[i];
+        bits += (value >= 0 ? value * 2 : -value * 2 - 1) >>> parameter;
+    }
+    return bits;
+}
+
+/**
+ * Cheapest Rice parameter for a residual: the estimate from its mean magnitude and its neighbours
+ * @returns {{parameter: number, bits: number}}
+ */
+function bestRiceParameter(residual) {
+    let sum = 0;
+    for (let i = 0; i < residual.length; i++) {
+        sum += Math.abs(residual[i]);
+    }
+    const estimate = Math.floor(Math.log2(sum / Math.max(1, residual.length) + 1));
+
+    let best = null;
+    for (let parameter = Math.max(0, estimate - 1); parameter <= Math.min(FLAC_MAX_RICE_PARAMETER, estimate + 1); parameter++) {
+        const bits = riceBits(residual, parameter);
+        if (!best || bits < best.bits) {
+            best = { parameter, bits };
+        }
+    }
+    return best;
+}
+
+/**
+ * One subframe: constant for a block of one value, otherwise the fixed predictor order
+ * with the smallest Rice-coded residual, or verbatim samples if that is smaller still
+ */
+function writeSubframe(writer, samples, bitDepth) {
+    // Header: zero pad bit, 6-bit type, no wasted bits
+    const writeHeader = (type) => {
+        writer.write(0, 1);
+        writer.write(type, 6);
+        writer.write(0, 1);
+    };
+
+    if (samples.every(sample => sample === samples[0])) {
+        writeHeader(0b000000);
+        writer.writeSigned(samples[0], bitDepth);
+        return;
+    }
+
+    let best = null;
+    for (let order = 0; order <= Math.min(FLAC_MAX_ORDER, samples.length - 1); order++) {
+        const residual = fixedResidual(samples, order);
+        const { parameter, bits } = bestRiceParameter(residual);
+        // Warm-up samples and the Rice header count too
+        const total = order * bitDepth + 2 + 4 + 5 + bits;
+        if (!best || total < best.total) {
+            best = { order, residual, parameter, total };
+        }
+    }
+
+    if (best.total >= samples.length * bitDepth) {
+        writeHeader(0b000001);
+        samples.forEach(sample => writer.writeSigned(sample, bitDepth));
+        return;
+    }
+
+    writeHeader(0b001000 | best.order);
+    for (let i = 0; i < best.order; i++) {
+        writer.writeSigned(samples[i], bitDepth);
+    }
+
+    // Residual in a single partition; parameters above 14 need the 5-bit parameter method
+    const wideParameter = best.parameter > 14;
+    writer.write(wideParameter ? 0b01 : 0b00, 2);
+    writer.write(0, 4); // Partition order 0
+    writer.write(best.parameter, wideParameter ? 5 : 4);
+    best.residual.forEach(value => writer.writeRice(value, best.parameter));
+}
+
+/**
+ * FLAC frame number as a UTF-8 style variable length integer
+ */
+function writeUtf8(writer, value) {
+    if (value < 0x80) {
+        writer.write(value, 8);
+        return;
+    }
+    const bytes = [];
+    let remaining = value;
+    while (remaining >= Math.pow(2, 6 - bytes.length)) {
+        bytes.unshift(0x80 | (remaining & 0x3f));
+        remaining = Math.floor(remaining / 64);
+    }
+    const lead = (0xff00 >> (bytes.length + 1)) & 0xff;
+    writer.write(lead | remaining, 8);
+    bytes.forEach(byte => writer.write(byte, 8));
+}
+
+/**
+ * FLAC file with independent channels
+ * @param {Float32Array[]} channels - 1 to 8 channels
+ * @param {number} bitDepth - 16 | 24
+ * @returns {Uint8Array}
+ */
+export function encodeFlac(channels, sampleRate, bitDepth) {
+    const samples = quantize(channels, bitDepth);
+    const frameCount = channels[0].length;
+    const writer = new BitWriter();
+
+    // Stream marker and STREAMINFO (frame sizes and MD5 left as unknown)
+    'fLaC'.split('').forEach(char => writer.write(char.charCodeAt(0), 8));
+    writer.write(1, 1); // Last metadata block
+    writer.write(0, 7); // STREAMINFO
+    writer.write(34, 24);
+    writer.write(FLAC_BLOCK_SIZE, 16);
+    writer.write(FLAC_BLOCK_SIZE, 16);
+    writer.write(0, 24);
+    writer.write(0, 24);
+    writer.write(sampleRate, 20);
+    writer.write(channels.length - 1, 3);
+    writer.write(bitDepth - 1, 5);
+    writer.write(Math.floor(frameCount / Math.pow(2, 32)), 4);
+    writer.write(frameCount % Math.pow(2, 32), 32);
+    for (let i = 0; i < 16; i++) {
+        writer.write(0, 8);
+    }
+
+    for (let start = 0, frame = 0; start < frameCount; start += FLAC_BLOCK_SIZE, frame++) {
+        const blockSize = Math.min(FLAC_BLOCK_SIZE, frameCount - start);
+        const frameStart = writer.length;
+
+        // Header: sync, fixed block size; a short last block gives its size after the frame number
+        writer.write(0b11111111111110, 14);
+        writer.write(0, 1);
+        writer.write(0, 1);
+        writer.write(blockSize === FLAC_BLOCK_SIZE ? 0b1100 : 0b0111, 4);
+        writer.write(0, 4); // Sample rate from STREAMINFO
+        writer.write(channels.length - 1, 4); // Independent channels
+        writer.write(bitDepth === 16 ? 0b100 : 0b110, 3);
+        writer.write(0, 1);
+        writeUtf8(writer, frame);
+        if (blockSize !== FLAC_BLOCK_SIZE) {
+            writer.write(blockSize - 1, 16);
+        }
+        writer.write(crc8(writer.buffer, frameStart, writer.length), 8);
+
+        samples.forEach(data => writeSubframe(writer, data.subarray(start, start + blockSize), bitDepth));
+
+        writer.align();
+        writer.write(crc16(writer.buffer, frameStart, writer.length), 16);
+    }
+
+    return writer.toBytes();
+}
@@ -0,0 +1,466 @@
+/**
+ * Effects Rack
+ * Chain of Web Audio effects between the master volume and the speakers.
+ * Each slot has a bypass switch and a wet/dry mix, and slots can be reordered
+ * without rebuilding the effects that stay in the chain.
+ */
+
+import { Random } from './synthCore.js';
+
+// Time constant for parameter changes (seconds), fast enough to feel immediate without zipper noise
+const PARAM_SMOOTHING = 0.02;
+
+// Longest delay line (seconds), enough for a synced bar at 60 BPM
+const MAX_DELAY_TIME = 4;
+
+// Longest generated reverb impulse response (seconds)
+const MAX_REVERB_DECAY = 10;
+
+// Seed of the reverb impulse response noise
+const REVERB_SEED = 1;
+
+// Samples in a waveshaper curve
+const CURVE_LENGTH = 4096;
+
+// Largest bitcrusher sample-rate reduction (each input sample held for up to this many samples)
+const MAX_DOWNSAMPLE = 32;
+
+// Fade (seconds) around reconnecting the chain, so reordering effects does not click
+const REWIRE_FADE_TIME = 0.01;
+
+// Settings for a newly added effect of each type (mix is the wet share, 0-1)
+export const EFFECT_DEFAULTS = {
+    delay: { enabled: true, mix: 0.3, time: 0.3, feedback: 0.4, tone: 4000, sync: false, division: 1 / 8 },
+    reverb: { enabled: true, mix: 0.25, decay: 2, damping: 0.5, preDelay: 0.01 },
+    chorus: { enabled: true, mix: 0.5, rate: 0.8, depth: 3, delay: 15, feedback: 0 },
+    distortion: { enabled: true, mix: 0.5, mode: 'drive', drive: 4, bits: 8, downsample: 4 },
+    eq: { enabled: true, mix: 1, low: 0, mid: 0, midFrequency: 1000, high: 0 }
+};
+
+// Longest effects tail added to offline renders (seconds), for delays with feedback close to 1
+const MAX_TAIL_TIME = 30;
+
+// Level a tail has to fall to before it counts as finished (-60 dB)
+const TAIL_FLOOR = 0.001;
+
+/**
+ * Seconds a feedback loop keeps sounding: repeats every loopTime until feedback^n falls under -60 dB
+ */
+function feedbackTail(loopTime, feedback) {
+    const repeats = feedback > 0 ? Math.ceil(Math.log(TAIL_FLOOR) / Math.log(feedback)) : 0;
+    return loopTime * (repeats + 1);
+}
+
+/**
+ * How long the chain keeps sounding after its input goes silent, so renders can include the whole tail
+ * @param {Object[]} effects - { type, enabled, ...settings } in chain order
+ * @param {number} tempo - BPM for synced delays
+ * @returns {number} Seconds
+ */
+export function effectsTailTime(effects, tempo = 120) {
+    const tail = effects
+        .filter(effect => effect.enabled && effect.mix > 0)
+        .reduce((total, effect) => {
+            switch (effect.type) {
+                case 'delay': {
+                    // Same limits as the delay builder
+                    const time = effect.sync && tempo ? 240 * effect.division / tempo : effect.time;
+                    return total + feedbackTail(Math.min(MAX_DELAY_TIME, time), Math.min(0.95, effect.feedback));
+                }
+                case 'reverb':
+                    return total + effect.preDelay + Math.min(effect.decay, MAX_REVERB_DECAY);
+                case 'chorus':
+                    return total + feedbackTail((effect.delay + effect.depth) / 1000, Math.min(0.9, effect.feedback));
+                default:
+                    return total;
+            }
+        }, 0);
+
+    return Math.min(MAX_TAIL_TIME, tail);
+}
+
+/**
+ * Glide an AudioParam to a new value
+ */
+function setParam(param, value, context) {
+    param.setTargetAtTime(value, context.currentTime, PARAM_SMOOTHING);
+}
+
+/**
+ * Disconnect nodes from everything, so a removed effect (feedback loops included) can be freed
+ */
+function disconnectAll(nodes) {
+    nodes.forEach(node => node.disconnect());
+}
+
+/**
+ * Stereo noise decaying by 60 dB over the decay time, getting darker as it decays.
+ * The noise is seeded, so a reverb sounds the same every time its chain is built, exports included.
+ * @param {number} damping - 0 (bright tail) to 1 (dark tail)
+ */
+function generateImpulseResponse(context, decay, damping) {
+    const length = Math.max(1, Math.round(Math.min(decay, MAX_REVERB_DECAY) * context.sampleRate));
+    const impulse = context.createBuffer(2, length, context.sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = impulse.getChannelData(channel);
+        const random = new Random(REVERB_SEED + channel); // Different noise per channel for width
+        let smoothed = 0;
+        for (let i = 0; i < length; i++) {
+            const progress = i / length;
+            const noise = random.next();
+            // One-pole lowpass whose cutoff falls over the tail
+            smoothed += (noise - smoothed) * (1 - damping * 0.95 * progress);
+            data[i] = smoothed * Math.exp(-6.9 * progress);
+        }
+    }
+
+    return impulse;
+}
+
+/**
+ * Waveshaper curve for the distortion modes
+ * @param {string} mode - 'drive' (tanh saturation) | 'bitcrush' (amplitude quantisation)
+ */
+function distortionCurve(mode, drive, bits) {
+    const curve = new Float32Array(CURVE_LENGTH);
+    const levels = Math.pow(2, bits - 1);
+
+    for (let i = 0; i < CURVE_LENGTH; i++) {
+        const x = (i / (CURVE_LENGTH - 1)) * 2 - 1;
+        curve[i] = mode === 'bitcrush'
+            ? Math.round(x * levels) / levels
+            : Math.tanh(drive * x) / Math.tanh(drive);
+    }
+
+    return curve;
+}
+
+/**
+ * Node graphs for each effect type: build(context) returns { input, output, update(effect, tempo), dispose() }
+ */
+const EFFECT_BUILDERS = {
+    /**
+     * Feedback delay with a lowpass in the loop, so repeats get darker
+     */
+    delay(context) {
+        const input = context.createGain();
+        const delay = context.createDelay(MAX_DELAY_TIME);
+        const tone = context.createBiquadFilter();
+        const feedback = context.createGain();
+
+        tone.type = 'lowpass';
+        input.connect(delay);
+        delay.connect(tone);
+        tone.connect(feedback);
+        feedback.connect(delay);
+
+        return {
+            input,
+            output: tone,
+            update(effect, tempo) {
+                // Synced divisions are fractions of a 4-beat bar
+                const time = effect.sync && tempo ? 240 * effect.division / tempo : effect.time;
+                setParam(delay.delayTime, Math.min(MAX_DELAY_TIME, time), context);
+                setParam(feedback.gain, Math.min(0.95, effect.feedback), context);
+                setParam(tone.frequency, effect.tone, context);
+            },
+            dispose() {
+                disconnectAll([input, delay, tone, feedback]);
+            }
+        };
+    },
+
+    /**
+     * Convolution reverb with a generated impulse response
+     */
+    reverb(context) {
+        const input = context.createGain();
+        const preDelay = context.createDelay(1);
+        const convolver = context.createConvolver();
+        let generated = null; // Settings the current impulse response was generated for
+
+        input.connect(preDelay);
+        preDelay.connect(convolver);
+
+        return {
+            input,
+            output: convolver,
+            update(effect) {
+                setParam(preDelay.delayTime, effect.preDelay, context);
+                if (!generated || generated.decay !== effect.decay || generated.damping !== effect.damping) {
+                    convolver.buffer = generateImpulseResponse(context, effect.decay, effect.damping);
+                    generated = { decay: effect.decay, damping: effect.damping };
+                }
+            },
+            dispose() {
+                disconnectAll([input, preDelay, convolver]);
+            }
+        };
+    },
+
+    /**
+     * Stereo chorus: an LFO sweeps the left and right delay times in opposite directions.
+     * A short delay with feedback gives a flanger.
+     */
+    chorus(context) {
+        const input = context.createGain();
+        const splitter = context.createChannelSplitter(2);
+        const merger = context.createChannelMerger(2);
+        const lfo = context.createOscillator();
+        const sides = [1, -1].map((direction, channel) => {
+            const delay = context.createDelay(0.1);
+            const feedback = context.createGain();
+            const depth = context.createGain();
+
+            splitter.connect(delay, channel);
+            delay.connect(feedback);
+            feedback.connect(delay);
+            delay.connect(merger, 0, channel);
+            lfo.connect(depth);
+            depth.connect(delay.delayTime);
+            return { delay, feedback, depth, direction };
+        });
+
+        input.connect(splitter);
+        lfo.start();
+
+        return {
+            input,
+            output: merger,
+            update(effect) {
+                setParam(lfo.frequency, effect.rate, context);
+                sides.forEach(side => {
+                    // Depth and delay are in ms; the sweep must not reach below zero delay
+                    const depth = Math.min(effect.depth, effect.delay) / 1000;
+                    setParam(side.delay.delayTime, effect.delay / 1000, context);
+                    setParam(side.depth.gain, depth * side.direction, context);
+                    setParam(side.feedback.gain, Math.min(0.9, effect.feedback), context);
+                });
+            },
+            dispose() {
+                lfo.stop();
+                disconnectAll([input, splitter, merger, lfo, ...sides.flatMap(side => [side.delay, side.feedback, side.depth])]);
+            }
+        };
+    },
+
+    /**
+     * Waveshaper saturation or bitcrusher.
+     * The bitcrusher also lowers the sample rate with a sample-and-hold: a delay whose time grows by
+     * one sample per sample and wraps every `downsample` samples repeats the first sample of each period.
+     */
+    distortion(context) {
+        const hold = context.createDelay(MAX_DOWNSAMPLE / context.sampleRate);
+        const shaper = context.createWaveShaper();
+        let shaped = null; // Settings the current curve was made for
+        let ramp = null; // Looping source driving the hold delay's time, while downsampling
+        let downsampled = 1;
+
+        hold.delayTime.value = 0;
+        hold.connect(shaper);
+
+        const stopRamp = () => {
+            if (ramp) {
+                ramp.stop();
+                ramp.disconnect();
+                ramp = null;
+            }
+        };
+
+        return {
+            input: hold,
+            output: shaper,
+            update(effect) {
+                if (!shaped || shaped.mode !== effect.mode || shaped.drive !== effect.drive || shaped.bits !== effect.bits) {
+                    shaper.curve = distortionCurve(effect.mode, effect.drive, effect.bits);
+                    // Oversampling smooths saturation; the bitcrusher's stairs are meant to be harsh
+                    shaper.oversample = effect.mode === 'bitcrush' ? 'none' : '4x';
+                    shaped = { mode: effect.mode, drive: effect.drive, bits: effect.bits };
+                }
+
+                const downsample = effect.mode === 'bitcrush'
+                    ? Math.max(1, Math.min(MAX_DOWNSAMPLE, Math.round(effect.downsample ?? 1)))
+                    : 1;
+                if (downsample !== downsampled) {
+                    stopRamp();
+                    if (downsample > 1) {
+                        const buffer = context.createBuffer(1, downsample, context.sampleRate);
+                        const data = buffer.getChannelData(0);
+                        for (let i = 0; i < downsample; i++) {
+                            data[i] = i / context.sampleRate;
+                        }
+                        ramp = context.createBufferSource();
+                        ramp.buffer = buffer;
+                        ramp.loop = true;
+                        ramp.connect(hold.delayTime);
+                        ramp.start();
+                    }
+                    downsampled = downsample;
+                }
+            },
+            dispose() {
+                stopRamp();
+                disconnectAll([hold, shaper]);
+            }
+        };
+    },
+
+    /**
+     * Three-band EQ: low shelf, mid peak and high shelf (gains in dB)
+     */
+    eq(context) {
+        const low = context.createBiquadFilter();
+        const mid = context.createBiquadFilter();
+        const high = context.createBiquadFilter();
+
+        low.type = 'lowshelf';
+        low.frequency.value = 200;
+        mid.type = 'peaking';
+        mid.Q.value = 1;
+        high.type = 'highshelf';
+        high.frequency.value = 4000;
+        low.connect(mid);
+        mid.connect(high);
+
+        return {
+            input: low,
+            output: high,
+            update(effect) {
+                setParam(low.gain, effect.low, context);
+                setParam(mid.gain, effect.mid, context);
+                setParam(mid.frequency, effect.midFrequency, context);
+                setParam(high.gain, effect.high, context);
+            },
+            dispose() {
+                disconnectAll([low, mid, high]);
+            }
+        };
+    }
+};
+
+/**
+ * One effect with its bypass and wet/dry mix
+ */
+class EffectSlot {
+    constructor(context, type) {
+        this.context = context;
+        this.type = type;
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.dry = context.createGain();
+        this.wet = context.createGain();
+        this.effect = EFFECT_BUILDERS[type](context);
+
+        this.input.connect(this.dry);
+        this.dry.connect(this.output);
+        this.input.connect(this.effect.input);
+        this.effect.output.connect(this.wet);
+        this.wet.connect(this.output);
+    }
+
+    update(effect, tempo) {
+        // Bypassed slots pass the signal through untouched
+        const wet = effect.enabled ? effect.mix : 0;
+        setParam(this.dry.gain, 1 - wet, this.context);
+        setParam(this.wet.gain, wet, this.context);
+        this.effect.update(effect, tempo);
+    }
+
+    dispose() {
+        disconnectAll([this.input, this.dry, this.wet, this.output]);
+        this.effect.dispose();
+    }
+}
+
+export default class EffectsRack {
+    /**
+     * @param {BaseAudioContext} context - Live or offline context to build the chain in
+     */
+    constructor(context) {
+        this.context = context;
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.slots = new Map(); // Effect id -> EffectSlot
+        this.order = []; // Effect ids in chain order
+        this.rewireTimer = null; // Pending reconnection while the output fades out
+        this.latest = null; // Last setEffects() arguments, applied once a pending rewire is done
+
+        this.input.connect(this.output);
+    }
+
+    /**
+     * Match the chain to a list of effects, keeping the slots of effects that are still there
+     * @param {Object[]} effects - { id, type, enabled, mix, ...settings } in chain order
+     * @param {number} tempo - BPM for synced delays
+     */
+    setEffects(effects, tempo = 120) {
+        this.latest = { effects, tempo };
+        if (this.rewireTimer !== null) {
+            return;
+        }
+
+        const order = effects.map(effect => effect.id);
+        if (order.join() === this.order.join()) {
+            this.updateSlots();
+        } else if (this.context.state !== 'running') {
+            // Nothing is playing through the chain yet (new or offline context)
+            this.rewire(effects);
+            this.updateSlots();
+        } else {
+            // Fade out, reconnect while silent and fade back in
+            const gain = this.output.gain;
+            const now = this.context.currentTime;
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(gain.value, now);
+            gain.linearRampToValueAtTime(0, now + REWIRE_FADE_TIME);
+
+            // Leave a few render quanta for the fade to reach the output before reconnecting
+            this.rewireTimer = setTimeout(() => {
+                this.rewireTimer = null;
+                this.rewire(this.latest.effects);
+                this.updateSlots();
+
+                const start = this.context.currentTime;
+                gain.cancelScheduledValues(start);
+                gain.setValueAtTime(0, start);
+                gain.linearRampToValueAtTime(1, start + REWIRE_FADE_TIME);
+            }, REWIRE_FADE_TIME * 1000 + 20);
+        }
+    }
+
+    /**
+     * Apply the latest settings to every slot
+     */
+    updateSlots() {
+        const { effects, tempo } = this.latest;
+        effects.forEach(effect => this.slots.get(effect.id).update(effect, tempo));
+    }
+
+    /**
+     * Reconnect the chain in a new order, creating and removing slots as needed
+     */
+    rewire(effects) {
+        this.input.disconnect();
+        this.slots.forEach((slot, id) => {
+            slot.output.disconnect();
+            if (!effects.some(effect => effect.id === id)) {
+                slot.dispose();
+                this.slots.delete(id);
+            }
+        });
+
+        let previous = this.input;
+        effects.forEach(effect => {
+            if (!this.slots.has(effect.id)) {
+                this.slots.set(effect.id, new EffectSlot(this.context, effect.type));
+            }
+            const slot = this.slots.get(effect.id);
+            previous.connect(slot.input);
+            previous = slot.output;
+        });
+        previous.connect(this.output);
+
+        this.order = effects.map(effect => effect.id);
+    }
+}
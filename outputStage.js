@@ -0,0 +1,189 @@
+/**
+ * Output Stage
+ * End of the audio chain: a master limiter with a soft clipper that holds the output
+ * under its ceiling, per-channel peak/RMS meters, momentary loudness (LUFS) and
+ * clip detection on the signal going into the limiter.
+ */
+
+// How long the clip indicator stays lit after an over (seconds)
+const CLIP_HOLD = 1.5;
+
+// Peak meter fall rate (dB per second)
+const PEAK_FALL = 20;
+
+// Analyser lengths: clip detection reads every sample between frames,
+// RMS averages about 300 ms and momentary loudness needs 400 ms
+const CLIP_WINDOW = 2048;
+const RMS_WINDOW = 16384;
+const LOUDNESS_WINDOW = 32768;
+const MOMENTARY_TIME = 0.4;
+
+// The soft clipper is linear up to this share of the ceiling
+const CLIPPER_KNEE = 0.8;
+
+// Samples in the clipper curve
+const CURVE_LENGTH = 4096;
+
+function toDecibels(level) {
+    return level > 0 ? 20 * Math.log10(level) : -Infinity;
+}
+
+/**
+ * Gain a DynamicsCompressorNode adds on its own: (1 / its gain at 0 dBFS) ^ 0.6, per the Web Audio spec.
+ * With a hard knee a 0 dBFS input comes out at threshold + (0 - threshold) / ratio.
+ * @returns {number} Makeup gain in dB
+ */
+function compressorMakeupGain(threshold, ratio) {
+    return -0.6 * threshold * (1 - 1 / ratio);
+}
+
+/**
+ * Waveshaper curve: straight up to the knee, then bending smoothly towards the ceiling.
+ * Inputs beyond ±1 read the ends of the curve, so nothing leaves above the ceiling.
+ */
+function clipperCurve(ceiling) {
+    const curve = new Float32Array(CURVE_LENGTH);
+    const knee = ceiling * CLIPPER_KNEE;
+
+    for (let i = 0; i < CURVE_LENGTH; i++) {
+        const x = (i / (CURVE_LENGTH - 1)) * 2 - 1;
+        const magnitude = Math.abs(x);
+        const shaped = magnitude <= knee
+            ? magnitude
+            : knee + (ceiling - knee) * Math.tanh((magnitude - knee) / (ceiling - knee));
+        curve[i] = Math.sign(x) * shaped;
+    }
+
+    return curve;
+}
+
+/**
+ * Split a stereo node into one analyser per channel
+ */
+function channelAnalysers(context, source, fftSize) {
+    const splitter = context.createChannelSplitter(2);
+    source.connect(splitter);
+
+    return [0, 1].map(channel => {
+        const analyser = context.createAnalyser();
+        analyser.fftSize = fftSize;
+        splitter.connect(analyser, channel);
+        return { analyser, data: new Float32Array(fftSize) };
+    });
+}
+
+export default class OutputStage {
+    /**
+     * @param {BaseAudioContext} context - Live or offline context to build the stage in
+     */
+    constructor(context) {
+        this.context = context;
+        this.input = context.createGain();
+        this.limiter = context.createDynamicsCompressor();
+        this.makeupCompensation = context.createGain(); // Cancels the compressor's automatic makeup gain
+        this.clipper = context.createWaveShaper();
+        this.output = this.clipper;
+
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.001;
+        this.limiter.release.value = 0.1;
+        this.clipper.oversample = '4x';
+
+        this.input.connect(this.limiter);
+        this.limiter.connect(this.makeupCompensation);
+        this.makeupCompensation.connect(this.clipper);
+
+        // K-weighting (ITU-R BS.1770): a high shelf for the head, a highpass for low rumble
+        const shelf = context.createBiquadFilter();
+        const highpass = context.createBiquadFilter();
+        shelf.type = 'highshelf';
+        shelf.frequency.value = 1681;
+        shelf.gain.value = 4;
+        highpass.type = 'highpass';
+        highpass.frequency.value = 38;
+        highpass.Q.value = 0.5;
+        this.output.connect(shelf);
+        shelf.connect(highpass);
+
+        this.clipMeters = channelAnalysers(context, this.input, CLIP_WINDOW);
+        this.levelMeters = channelAnalysers(context, this.output, RMS_WINDOW);
+        this.loudnessMeters = channelAnalysers(context, highpass, LOUDNESS_WINDOW);
+
+        this.peaks = [-Infinity, -Infinity]; // Falling peak readings in dB
+        this.lastRead = null;
+        this.clipUntil = -Infinity;
+
+        this.setLimiter(true, -1);
+    }
+
+    /**
+     * @param {boolean} enabled - Off passes the signal straight through (it may then clip)
+     * @param {number} ceiling - Highest output level in dBFS
+     */
+    setLimiter(enabled, ceiling) {
+        const now = this.context.currentTime;
+        // Start limiting a little under the ceiling, so the clipper only shapes the fastest transients
+        const threshold = enabled ? ceiling - 3 : 0;
+        const ratio = enabled ? 20 : 1;
+        this.limiter.threshold.setValueAtTime(threshold, now);
+        this.limiter.ratio.setValueAtTime(ratio, now);
+        // Levels under the threshold pass at unity, so turning the limiter on does not make everything louder
+        this.makeupCompensation.gain.setValueAtTime(Math.pow(10, -compressorMakeupGain(threshold, ratio) / 20), now);
+        this.clipper.curve = enabled ? clipperCurve(Math.pow(10, ceiling / 20)) : null;
+    }
+
+    /**
+     * Read the meters (call once per display frame)
+     * @returns {{peak: number[], rms: number[], lufs: number, clipping: boolean}}
+     *     Peak and RMS per channel in dBFS, momentary loudness in LUFS
+     */
+    readMeters() {
+        const now = this.context.currentTime;
+        const elapsed = this.lastRead === null ? 0 : now - this.lastRead;
+        this.lastRead = now;
+
+        // Any sample at or over full scale going into the limiter lights the clip indicator
+        this.clipMeters.forEach(({ analyser, data }) => {
+            analyser.getFloatTimeDomainData(data);
+            if (data.some(sample => Math.abs(sample) >= 1)) {
+                this.clipUntil = now + CLIP_HOLD;
+            }
+        });
+
+        const rms = this.levelMeters.map(({ analyser, data }, channel) => {
+            analyser.getFloatTimeDomainData(data);
+
+            // Peak of the latest block, falling back slowly so short peaks stay readable
+            let peak = 0;
+            for (let i = data.length - CLIP_WINDOW; i < data.length; i++) {
+                peak = Math.max(peak, Math.abs(data[i]));
+            }
+            this.peaks[channel] = Math.max(toDecibels(peak), this.peaks[channel] - PEAK_FALL * elapsed);
+
+            let sum = 0;
+            for (let i = 0; i < data.length; i++) {
+                sum += data[i] * data[i];
+            }
+            return toDecibels(Math.sqrt(sum / data.length));
+        });
+
+        // Momentary loudness: mean square of the K-weighted channels over the last 400 ms, summed
+        const length = Math.min(LOUDNESS_WINDOW, Math.round(MOMENTARY_TIME * this.context.sampleRate));
+        const power = this.loudnessMeters.reduce((total, { analyser, data }) => {
+            analyser.getFloatTimeDomainData(data);
+            let sum = 0;
+            for (let i = data.length - length; i < data.length; i++) {
+                sum += data[i] * data[i];
+            }
+            return total + sum / length;
+        }, 0);
+
+        return {
+            peak: [...this.peaks],
+            rms,
+            lufs: power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity,
+            clipping: now < this.clipUntil
+        };
+    }
+}
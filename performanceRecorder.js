@@ -0,0 +1,79 @@
+/**
+ * Performance Recorder
+ * Records takes of the master output with MediaRecorder, together with a timestamped
+ * log of the note and pinch events played during the take.
+ */
+
+// Recording formats to try, in order of preference
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4', 'audio/webm'];
+
+export default class PerformanceRecorder {
+    /**
+     * @param {AudioContext} context
+     * @param {AudioNode} source - Node whose output is recorded (the end of the master chain)
+     */
+    constructor(context, source) {
+        this.context = context;
+        this.destination = context.createMediaStreamDestination();
+        this.mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.events = [];
+        this.startTime = 0;
+
+        source.connect(this.destination);
+    }
+
+    get isRecording() {
+        return this.mediaRecorder !== null;
+    }
+
+    /**
+     * Start a new take
+     */
+    start() {
+        const chunks = [];
+        this.chunks = chunks;
+        this.events = [];
+
+        this.mediaRecorder = new MediaRecorder(this.destination.stream, this.mimeType ? { mimeType: this.mimeType } : {});
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        this.mediaRecorder.start();
+        this.startTime = this.context.currentTime;
+    }
+
+    /**
+     * Add an event to the take's log, stamped with the seconds since the take started
+     * @param {Object} event - { type, ...details }; ignored while not recording
+     */
+    logEvent(event) {
+        if (this.isRecording) {
+            this.events.push({ time: this.context.currentTime - this.startTime, ...event });
+        }
+    }
+
+    /**
+     * Finish the take
+     * @returns {Promise<{audio: Blob, duration: number, events: Object[]}>}
+     */
+    stop() {
+        const mediaRecorder = this.mediaRecorder;
+        const chunks = this.chunks;
+        const duration = this.context.currentTime - this.startTime;
+        const events = this.events;
+        this.mediaRecorder = null;
+
+        return new Promise((resolve, reject) => {
+            mediaRecorder.onstop = () => {
+                const audio = new Blob(chunks, { type: mediaRecorder.mimeType || this.mimeType });
+                resolve({ audio, duration, events });
+            };
+            mediaRecorder.onerror = (event) => reject(event.error);
+            mediaRecorder.stop();
+        });
+    }
+}
@@ -4,20 +4,42 @@
  */
 
 import HandGestures from "./handGestures.js";
+import EffectsRack, { EFFECT_DEFAULTS, effectsTailTime } from "./effectsRack.js";
+import OutputStage from "./outputStage.js";
+import { applyFades, encodeWav, encodeFlac } from "./audioExport.js";
+import PerformanceRecorder from "./performanceRecorder.js";
+import { UnisonVoice, waveformAt, fourierSeries, waveTableFromSeries, waveSeriesFor, IMPORTED_WAVE_HARMONICS, IMPORTED_WAVE_PREFIX, FM_ALGORITHMS } from "./synthCore.js";
 
 class WaveformGenerator {
     constructor() {
         // Audio context and nodes
         this.audioContext = null;
-        this.mainOscillator = null;
-        this.harmonicOscillators = [];
-        this.amOscillator = null;
-        this.fmOscillator = null;
-        this.gainNode = null;
-        this.amGainNode = null;
+        this.synthNode = null; // AudioWorklet node running the shared synth core
+        this.synthNodeReady = null;
         this.masterGainNode = null;
         this.analyser = null;
-        this.isPlaying = false;
+        this.isPlaying = false; // True while any voice is held
+        
+        // Polyphonic voices - allocated and rendered inside the synth processor
+        this.voiceCount = 8;
+        this.voiceStealMode = 'oldest'; // 'oldest' | 'quietest'
+        this.oscQuality = 'standard'; // 'draft' (naive) | 'standard' (PolyBLEP) | 'high' (also band-limited tables)
+        
+        // Unison - detuned copies of each note spread across the stereo field
+        this.unisonCount = 1;
+        this.unisonDetune = 20; // Total spread in cents
+        this.unisonWidth = 0.5; // 0 = mono, 1 = hard left to hard right
+        
+        // Portamento
+        this.glideTime = 0; // Seconds, 0 = off
+        this.glideCurve = 'exponential'; // 'linear' | 'exponential'
+        this.glideLegato = false; // Only glide between notes while the pinch is held
+        this.heldNotes = new Set();
+        this.pendingNotes = new Map(); // MIDI note -> request id of a noteOn waiting for the audio context
+        this.noteRequestCount = 0;
+        this.voiceStates = []; // Latest voice snapshot reported by the processor
+        this.manualNote = null; // MIDI note held by the play button
+        this.gestureNote = null; // MIDI note held by the pinch gesture
         
         // Waveform parameters
         this.frequency = 440;
@@ -27,31 +49,237 @@ class WaveformGenerator {
         this.volume = 0.5;
         this.smoothing = 0.1; // Square wave smoothing factor
         this.dutyCycle = 50; // Square wave duty cycle percentage
+        this.pwmSource = ''; // Mod matrix source sweeping the duty cycle ('' = off, 'lfo1', 'env1', ...)
+        this.pwmDepth = 25; // Duty cycle swing in percent
         
         // Harmonics array - each harmonic has frequency multiplier and amplitude
         this.harmonics = [];
+        this.nextHarmonicId = 0; // Stable ids let the synth fade harmonics in and out
         
         // Modulation parameters
         this.amEnabled = false;
         this.amFreq = 5;
         this.amDepth = 0.5;
+        this.amShape = 'sine';
+        this.amSync = false; // Lock the rate to the melody tempo
+        this.amDivision = 0.25; // Cycle length as a fraction of a whole note
+        this.amMode = 'classic'; // 'classic' keeps the carrier | 'ring' suppresses it
+        this.amRateMode = 'hz'; // 'hz' | 'ratio' of the note frequency (audio rate, follows the pitch)
+        this.amRatio = 1;
         this.fmEnabled = false;
         this.fmFreq = 5;
         this.fmDepth = 50;
+        this.fmShape = 'sine';
+        this.fmSync = false;
+        this.fmDivision = 0.25;
+        
+        // LFO shapes and tempo-synced cycle lengths shared by AM, FM and the matrix LFOs
+        this.lfoShapes = {
+            sine: 'Sine',
+            triangle: 'Triangle',
+            square: 'Square',
+            sawtooth: 'Saw (ramp up)',
+            rampDown: 'Ramp Down',
+            sampleHold: 'Sample & Hold',
+            smoothRandom: 'Smooth Random'
+        };
+        this.tempoDivisions = [
+            { value: 1, label: '1 bar' },
+            { value: 1 / 2, label: '1/2' },
+            { value: 1 / 4, label: '1/4' },
+            { value: 3 / 8, label: '1/4 dotted' },
+            { value: 1 / 6, label: '1/4 triplet' },
+            { value: 1 / 8, label: '1/8' },
+            { value: 3 / 16, label: '1/8 dotted' },
+            { value: 1 / 12, label: '1/8 triplet' },
+            { value: 1 / 16, label: '1/16' },
+            { value: 1 / 32, label: '1/32' }
+        ];
+        
+        // Amplitude envelope (times in seconds, sustain as level 0-1)
+        this.envAttack = 0.01;
+        this.envDecay = 0.1;
+        this.envSustain = 0.8;
+        this.envRelease = 0.3;
         
         // Display parameters - default to show 2 full cycles
         this.timeScale = this.calculateTimeScaleForCycles(2); // ms per division for 2 cycles
         this.ampScale = 1.0;  // volts per division
+        this.showEnvelope = false; // Overlay ADSR contour on the scope
+        this.scopeMode = 'mono'; // 'mono' | 'stereo' (L/R traces) | 'xy'
+        
+        // Freehand wave editor - the drawn cycle is stored as Fourier coefficients
+        this.customWave = null; // { real: [], imag: [] } like a PeriodicWave
+        this.importedWaves = []; // Single-cycle WAV imports: { name, real, imag }
+        
+        // Wavetable - a stack of single-cycle frames morphed by position
+        this.wavetable = { frames: [] }; // Each frame is { real: [], imag: [] }
+        this.wavetablePosition = 0; // 0 = first frame, 1 = last frame
+        this.wavetableModSource = 'none'; // 'none' | 'lfo' | 'gesture'
+        this.wavetableModDepth = 0.5;
+        
+        // Modulation matrix - LFO and envelope sources routed to voice params
+        this.lfos = [{ rate: 2, shape: 'sine', sync: false, division: 0.25 }]; // Rate in Hz
+        this.modEnvelopes = [{ attack: 0.5, decay: 0.5, sustain: 0, release: 0.5 }]; // Times in seconds
+        this.modRoutes = []; // { id, source: 'lfo1' | 'env1' ..., destination, harmonic, depth }
+        this.nextModRouteId = 0;
+        
+        // Envelope stage sliders (times in ms on the sliders, seconds in state)
+        this.envelopeStages = [
+            { key: 'attack', label: 'Attack', min: 1, max: 5000, step: 1, scale: 1000, unit: ' ms' },
+            { key: 'decay', label: 'Decay', min: 1, max: 5000, step: 1, scale: 1000, unit: ' ms' },
+            { key: 'sustain', label: 'Sustain', min: 0, max: 1, step: 0.01, scale: 1, unit: '' },
+            { key: 'release', label: 'Release', min: 1, max: 5000, step: 1, scale: 1000, unit: ' ms' }
+        ];
+        
+        // Second oscillator, mixed with the main one and optionally hard-synced to it
+        this.osc2Enabled = false;
+        this.osc2WaveType = 'sawtooth';
+        this.osc2Level = 0.5;
+        this.osc2Octave = 0;
+        this.osc2Semitones = 0;
+        this.osc2Cents = 7; // Slight detune against the main oscillator
+        this.osc2Phase = 0; // Degrees
+        this.osc2DutyCycle = 50;
+        this.osc2Smoothing = 0.1;
+        this.osc2Sync = false;
+        
+        // Sub-oscillator locked one or two octaves below the main oscillator
+        this.subEnabled = false;
+        this.subWaveType = 'square'; // 'square' | 'sine' | 'triangle'
+        this.subOctave = 1; // Octaves down: 1 | 2
+        this.subLevel = 0.5;
+        
+        // Noise source mixed into every voice
+        this.noiseEnabled = false;
+        this.noiseType = 'white'; // 'white' | 'pink' | 'brown' | 'velvet'
+        this.noiseLevel = 0.5;
+        this.noiseFiltered = true; // Send the noise through the filter, or around it
+        
+        // FM operators for the 'fm' wave type (all six are kept; operatorCount chooses how many play)
+        this.operators = this.defaultOperators();
+        this.operatorCount = 4;
+        this.operatorAlgorithm = 0; // Index into FM_ALGORITHMS[operatorCount]
+        this.operatorFeedback = 0; // Self-modulation of the algorithm's feedback operator
+        
+        // Route destinations with depth range and unit
+        this.modDestinations = {
+            frequency: { label: 'Frequency', range: 24, step: 0.1, unit: ' st' },
+            amplitude: { label: 'Amplitude', range: 1, step: 0.01, unit: '' },
+            dutyCycle: { label: 'Duty Cycle', range: 50, step: 1, unit: '%' },
+            smoothing: { label: 'Rise Time', range: 1, step: 0.01, unit: '' },
+            harmonicAmplitude: { label: 'Harmonic Amplitude', range: 1, step: 0.01, unit: '' },
+            harmonicPhase: { label: 'Harmonic Phase', range: 180, step: 1, unit: '°' },
+            filterCutoff: { label: 'Filter Cutoff', range: 6, step: 0.1, unit: ' oct' },
+            pan: { label: 'Pan', range: 1, step: 0.01, unit: '' }
+        };
+        
+        // Filter parameters
+        this.filterEnabled = false;
+        this.filterType = 'lowpass'; // 'lowpass' | 'highpass' | 'bandpass' | 'notch' | 'peaking'
+        this.filterCutoff = 2000; // Hz
+        this.filterResonance = 0.707; // Q
+        this.filterGain = 0; // dB, peaking only
+        this.filterEnvAmount = 0; // Octaves of cutoff shift at full envelope level
+        this.filterKeyTrack = 0; // 0 = fixed cutoff, 1 = cutoff follows the note pitch
+        
+        // Effects rack after the master volume - { id, type, enabled, mix, ...settings } in chain order
+        this.effects = [];
+        this.nextEffectId = 0;
+        this.effectsRack = null;
+        
+        // Master limiter and meters at the end of the chain
+        this.limiterEnabled = true;
+        this.limiterCeiling = -1; // dBFS
+        this.outputStage = null;
+        this.showMeters = true; // Draw peak/RMS/LUFS meters and the clip indicator on the scope
+        this.normalizeHarmonics = false; // Keep the summed oscillator peak under 0 dBFS
+        
+        // Offline render and file export (not part of the patch)
+        this.exportSource = 'note'; // 'note' (held at the current frequency) | 'melody' (the melody guide at its tempo)
+        this.exportDuration = 3; // Seconds, held note only
+        this.exportSampleRate = 48000;
+        this.exportBitDepth = 24; // 16 | 24 | 32 (float, WAV only)
+        this.exportFormat = 'wav'; // 'wav' | 'flac'
+        this.exportFadeIn = 0.005; // Seconds
+        this.exportFadeOut = 0.05; // Seconds
+        this.isExporting = false;
+        
+        // Recorded gesture takes - { name, audio (Blob), url, duration, events } in recording order
+        this.performanceRecorder = null;
+        this.recordingStarting = false; // True while a take waits for the audio context
+        this.takes = [];
+        this.nextTakeNumber = 1;
+        this.takePlayer = null; // Audio element replaying a take
+        this.playingTake = null;
+        this.captureGrid = 1 / 16; // Quantize step when turning a take into a melody (fraction of a bar)
+        
+        // Melody transport - plays melodyGuide through the synth
+        this.transportState = 'stopped'; // 'stopped' | 'starting' (waiting for audio) | 'playing' | 'paused'
+        this.transportTempoOverride = false;
+        this.transportTempo = 120; // BPM used instead of the melody tempo when overriding
+        this.transportLoop = false;
+        this.loopStart = 0; // Loop region as melody note indices (inclusive), null end = last note
+        this.loopEnd = null;
+        this.transportIndex = 0; // Next melody note to schedule
+        this.transportNextTime = 0; // Audio context time the next note starts
+        this.transportQueue = []; // Scheduled notes not shown yet - { time, index, noteName, frequency }
+        this.transportSounding = []; // Scheduled synth notes - { note, end } (note is the voice id)
+        this.transportCurrent = null; // Index of the melody note playing now
+        this.transportKeyIndex = -1; // Keyboard key lit by the transport
+        this.transportTimer = null;
+        
+        // Effect names and setting controls (times in ms on the sliders, seconds in state)
+        this.effectTypes = {
+            delay: { label: 'Delay', fields: [
+                { key: 'time', label: 'Time', min: 10, max: 2000, step: 1, scale: 1000, unit: ' ms', hidden: effect => effect.sync },
+                { key: 'division', label: 'Division', divisions: true, hidden: effect => !effect.sync },
+                { key: 'sync', label: 'Sync to tempo', toggle: true },
+                { key: 'feedback', label: 'Feedback', min: 0, max: 0.95, step: 0.01, scale: 1, unit: '' },
+                { key: 'tone', label: 'Tone', min: 200, max: 12000, step: 10, scale: 1, unit: ' Hz', decimals: 0 }
+            ] },
+            reverb: { label: 'Reverb', fields: [
+                { key: 'decay', label: 'Decay', min: 0.1, max: 10, step: 0.1, scale: 1, unit: ' s' },
+                { key: 'damping', label: 'Damping', min: 0, max: 1, step: 0.01, scale: 1, unit: '' },
+                { key: 'preDelay', label: 'Pre-delay', min: 0, max: 200, step: 1, scale: 1000, unit: ' ms' }
+            ] },
+            chorus: { label: 'Chorus / Flanger', fields: [
+                { key: 'rate', label: 'Rate', min: 0.05, max: 10, step: 0.05, scale: 1, unit: ' Hz' },
+                { key: 'depth', label: 'Depth', min: 0, max: 10, step: 0.1, scale: 1, unit: ' ms' },
+                { key: 'delay', label: 'Delay', min: 1, max: 40, step: 0.1, scale: 1, unit: ' ms' },
+                { key: 'feedback', label: 'Feedback', min: 0, max: 0.9, step: 0.01, scale: 1, unit: '' }
+            ] },
+            distortion: { label: 'Distortion', fields: [
+                { key: 'mode', label: 'Mode', options: { drive: 'Drive (waveshaper)', bitcrush: 'Bitcrusher' } },
+                { key: 'drive', label: 'Drive', min: 1, max: 50, step: 0.1, scale: 1, unit: '', hidden: effect => effect.mode !== 'drive' },
+                { key: 'bits', label: 'Bits', min: 1, max: 16, step: 1, scale: 1, unit: '', decimals: 0, hidden: effect => effect.mode !== 'bitcrush' },
+                { key: 'downsample', label: 'Downsample', min: 1, max: 32, step: 1, scale: 1, unit: '×', decimals: 0, hidden: effect => effect.mode !== 'bitcrush' }
+            ] },
+            eq: { label: 'EQ', fields: [
+                { key: 'low', label: 'Low', min: -24, max: 24, step: 0.5, scale: 1, unit: ' dB' },
+                { key: 'mid', label: 'Mid', min: -24, max: 24, step: 0.5, scale: 1, unit: ' dB' },
+                { key: 'midFrequency', label: 'Mid Freq', min: 100, max: 8000, step: 10, scale: 1, unit: ' Hz', decimals: 0 },
+                { key: 'high', label: 'High', min: -24, max: 24, step: 0.5, scale: 1, unit: ' dB' }
+            ] }
+        };
+        this.drawMode = false;
+        this.isDrawing = false;
+        this.drawSamples = new Float32Array(256); // One cycle being edited
+        this.lastDrawIndex = null;
         
         // Canvas and visualization
         this.canvas = document.getElementById('waveformCanvas');
         this.ctx = this.canvas.getContext('2d');
         this.animationId = null;
+        this.scopeRenderInterval = 50; // Minimum ms between renders of an animated scope preview
+        this.nextScopeRender = 0;
         
         // Sample rate and buffer for waveform calculation
         this.sampleRate = 44100;
-        this.bufferSize = 2048;
-        this.waveformData = new Float32Array(this.bufferSize);
+        this.waveformData = new Float32Array(0);
+        this.waveformDataRight = new Float32Array(0);
+        this.waveformRate = this.sampleRate;
+        this.waveformDuration = 0;
         
         this.init();
         
@@ -104,14 +332,46 @@ class WaveformGenerator {
         pasteMelodyBtn.addEventListener('click', () => {
             this.pasteMelodyFromClipboard();
         });
+        
+        // Transport
+        document.getElementById('transportPlay').addEventListener('click', () => {
+            if (this.transportState === 'playing') {
+                this.pauseTransport();
+            } else {
+                this.playTransport();
+            }
+        });
+        
+        document.getElementById('transportStop').addEventListener('click', () => {
+            this.stopTransport();
+        });
+        
+        document.getElementById('transportTempoOverride').addEventListener('change', (e) => {
+            this.transportTempoOverride = e.target.checked;
+            document.getElementById('transportTempo').disabled = !this.transportTempoOverride;
+        });
+        
+        document.getElementById('transportTempo').addEventListener('change', (e) => {
+            this.transportTempo = Math.max(20, Math.min(400, parseInt(e.target.value) || 120));
+            e.target.value = this.transportTempo;
+        });
+        
+        document.getElementById('transportLoop').addEventListener('change', (e) => {
+            this.transportLoop = e.target.checked;
+        });
+        
+        // Loop region inputs count notes from 1; an empty end loops to the last note
+        ['loopStart', 'loopEnd'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateLoopRegion());
+        });
     }
     
     /**
-     * Copy current melody to clipboard as JSON
+     * Copy a melody (the current one by default) to clipboard as JSON
      */
-    copyMelodyToClipboard() {
+    copyMelodyToClipboard(melody = this.melodyGuide) {
         try {
-            const melodyJSON = JSON.stringify(this.melodyGuide, null, 2);
+            const melodyJSON = JSON.stringify(melody, null, 2);
             navigator.clipboard.writeText(melodyJSON).then(() => {
                 this.showToast('Melody copied to clipboard!', 'success');
             }).catch(() => {
@@ -196,9 +456,18 @@ class WaveformGenerator {
             // Update melody name display
             this.updateMelodyNameDisplay();
             
+            // Tempo-synced LFOs and delays follow the new melody's tempo
+            this.updateWaveform();
+            this.updateAudioModulation();
+            this.updateAudioEffects();
+            
             // Handle keyboard overlay updates (both oscilloscope and video modes)
             this.updateKeyboardAfterMelodyLoad();
             
+            // Start the transport over on the new melody
+            this.stopTransport();
+            this.resetLoopRegion();
+            
             // Reset song guide if active
             if (this.songGuideActive) {
                 this.currentSongNoteIndex = 0;
@@ -255,6 +524,214 @@ class WaveformGenerator {
         console.log(`Updated melody name display: "${melodyName}"`);
     }
     
+    /**
+     * Tempo the transport plays at (BPM)
+     */
+    getTransportTempo() {
+        return this.transportTempoOverride ? this.transportTempo : this.melodyGuide.tempo;
+    }
+    
+    /**
+     * Start playing the melody, or resume from the note it was paused on
+     */
+    async playTransport() {
+        if (!this.melodyGuide?.notes?.length) {
+            this.showToast('Load a melody to play first.', 'warning');
+            return;
+        }
+        
+        if (this.transportState === 'playing' || this.transportState === 'starting') {
+            return;
+        }
+        
+        // Claim the transport before waiting for audio, so a second press cannot start another scheduler
+        const previousState = this.transportState;
+        this.transportState = 'starting';
+        if (!await this.ensureAudioContext()) {
+            this.transportState = previousState;
+            return;
+        }
+        
+        // Stopped while audio was starting
+        if (this.transportState !== 'starting') {
+            return;
+        }
+        
+        if (previousState === 'stopped') {
+            this.transportIndex = this.transportLoop ? this.getLoopRegion().start : 0;
+        }
+        
+        // Lead-in so the first note is not late
+        this.transportNextTime = this.audioContext.currentTime + 0.05;
+        this.transportState = 'playing';
+        this.transportTimer = setInterval(() => this.scheduleTransport(), 25);
+        this.scheduleTransport();
+        this.updateTransportControls();
+    }
+    
+    pauseTransport() {
+        if (this.transportState !== 'playing') {
+            return;
+        }
+        
+        // Resume on the note playing now, or the first one queued if none has started yet
+        this.transportIndex = this.transportCurrent ?? this.transportQueue[0]?.index ?? this.transportIndex;
+        this.haltTransport();
+        this.transportState = 'paused';
+        this.updateTransportControls();
+    }
+    
+    stopTransport() {
+        this.haltTransport();
+        this.transportState = 'stopped';
+        this.transportCurrent = null;
+        this.highlightTransportKey(-1);
+        this.updateTransportControls();
+    }
+    
+    /**
+     * Stop scheduling, drop the queued notes and release the ones sounding
+     */
+    haltTransport() {
+        clearInterval(this.transportTimer);
+        this.transportTimer = null;
+        this.transportQueue = [];
+        
+        if (this.synthNode) {
+            this.synthNode.port.postMessage({ type: 'clearSchedule' });
+            const now = this.audioContext.currentTime;
+            this.transportSounding
+                .filter(sounding => sounding.end > now)
+                .forEach(sounding => this.synthNode.port.postMessage({ type: 'noteOff', note: sounding.note }));
+        }
+        this.transportSounding = [];
+    }
+    
+    /**
+     * Melody note indices the loop covers, clamped to the current melody
+     * @returns {{start: number, end: number}}
+     */
+    getLoopRegion() {
+        const last = this.melodyGuide.notes.length - 1;
+        const end = Math.min(this.loopEnd ?? last, last);
+        return { start: Math.min(this.loopStart, end), end };
+    }
+    
+    /**
+     * Read the loop region inputs (numbered from 1)
+     */
+    updateLoopRegion() {
+        const startInput = document.getElementById('loopStart');
+        const endInput = document.getElementById('loopEnd');
+        const count = this.melodyGuide.notes.length;
+        
+        this.loopStart = Math.max(1, Math.min(count, parseInt(startInput.value) || 1)) - 1;
+        this.loopEnd = endInput.value === '' ? null : Math.max(this.loopStart + 1, Math.min(count, parseInt(endInput.value) || count)) - 1;
+        
+        startInput.value = this.loopStart + 1;
+        endInput.value = this.loopEnd === null ? '' : this.loopEnd + 1;
+    }
+    
+    /**
+     * Loop the whole melody (after loading a new one)
+     */
+    resetLoopRegion() {
+        this.loopStart = 0;
+        this.loopEnd = null;
+        document.getElementById('loopStart').value = 1;
+        document.getElementById('loopEnd').value = '';
+        document.getElementById('loopEnd').placeholder = this.melodyGuide.notes.length;
+    }
+    
+    /**
+     * Send the synth the notes starting in the next 100 ms, and show the ones that have started.
+     * Runs every 25 ms while playing; the synth processor starts each note on time.
+     */
+    scheduleTransport() {
+        const now = this.audioContext.currentTime;
+        const notes = this.melodyGuide.notes;
+        const loop = this.getLoopRegion();
+        const lastIndex = this.transportLoop ? loop.end : notes.length - 1;
+        const events = [];
+        
+        while (this.transportNextTime < now + 0.1 && this.transportIndex <= lastIndex) {
+            const [noteName, duration] = notes[this.transportIndex];
+            const time = this.transportNextTime;
+            // Durations are fractions of a 4-beat bar; the floor keeps zero-length loops from stalling
+            const length = Math.max(0.01, duration * 240 / this.getTransportTempo());
+            const note = this.noteNameToMIDI(noteName); // null for rests
+            const frequency = note !== null ? this.noteNameToFrequency(noteName) : null;
+            
+            if (note !== null) {
+                // Transport voices have their own ids, so its note-offs never release a note the player holds
+                const id = `transport:${note}`;
+                const glide = this.glideTime > 0 && !this.glideLegato;
+                events.push({ time, message: { type: 'noteOn', note: id, frequency, velocity: 1, glide } });
+                events.push({ time: time + length, message: { type: 'noteOff', note: id } });
+                this.transportSounding.push({ note: id, end: time + length });
+            }
+            this.transportQueue.push({ time, index: this.transportIndex, noteName, frequency });
+            
+            this.transportNextTime += length;
+            this.transportIndex++;
+            if (this.transportLoop && this.transportIndex > loop.end) {
+                this.transportIndex = loop.start;
+            }
+        }
+        
+        if (events.length > 0) {
+            this.synthNode.port.postMessage({ type: 'schedule', events });
+        }
+        this.transportSounding = this.transportSounding.filter(sounding => sounding.end > now);
+        
+        while (this.transportQueue.length > 0 && this.transportQueue[0].time <= now) {
+            this.showTransportNote(this.transportQueue.shift());
+        }
+        
+        // Without a loop, stop once the last note has finished
+        if (!this.transportLoop && this.transportIndex >= notes.length && now >= this.transportNextTime) {
+            this.stopTransport();
+        }
+    }
+    
+    /**
+     * Follow a melody note that has started: light its key and move the scope to its pitch
+     */
+    showTransportNote(entry) {
+        this.transportCurrent = entry.index;
+        document.getElementById('transportPosition').textContent = `${entry.index + 1} / ${this.melodyGuide.notes.length}`;
+        
+        // Rests leave the scope on the last pitch
+        if (entry.frequency !== null) {
+            this.frequency = entry.frequency;
+            this.updateWaveform();
+        }
+        this.highlightTransportKey(this.noteNames.indexOf(entry.noteName));
+    }
+    
+    /**
+     * Light the key the transport is playing (-1 for none)
+     */
+    highlightTransportKey(keyIndex) {
+        if (!this.keyboardOverlay) {
+            return;
+        }
+        
+        this.keyboardOverlay.children[this.transportKeyIndex]?.classList.remove('playing');
+        this.keyboardOverlay.children[keyIndex]?.classList.add('playing');
+        this.transportKeyIndex = keyIndex;
+    }
+    
+    updateTransportControls() {
+        const playButton = document.getElementById('transportPlay');
+        playButton.textContent = this.transportState === 'playing' ? '⏸' : '▶';
+        playButton.classList.toggle('playing', this.transportState === 'playing');
+        
+        if (this.transportState === 'stopped') {
+            document.getElementById('transportPosition').textContent = '–';
+        }
+    }
+    
     /**
      * Setup hand gesture event handlers (extracted for reuse when recreating instances)
      */
@@ -271,6 +748,19 @@ class WaveformGenerator {
                 return;
             }
             
+            // In the wave editor a pinch draws instead of playing
+            if (this.drawMode) {
+                if (data && data.pinch) {
+                    this.drawAt(x / 100, 1 - 2 * y / 100);
+                }
+                return;
+            }
+            
+            // Hand height sweeps the wavetable position (top = last frame)
+            if (this.wavetableModSource === 'gesture') {
+                this.setWavetablePosition(1 - y / 100);
+            }
+            
             // x coordinate is already properly adjusted by MediaPipe based on flip state
             // x is 0 to 100, map to frequency notes
             let frequency = 2000 - (x * 15);
@@ -280,12 +770,26 @@ class WaveformGenerator {
 
             if (!frequency) { return; }
 
+            const isPinching = this.handGestures.isPinchActive();
+            
             this.frequency = frequency;
-            this.updateAudioFrequency();
+            this.updateAudioFrequency(this.glideTime > 0 && (isPinching || !this.glideLegato));
             this.updateWaveform();
             
+            // Sliding onto another key while pinching glides the held voice there,
+            // or plays that key as a new voice when glide is off
+            const note = this.noteNameToMIDI(this.noteNames[noteIndex]);
+            if (isPinching && this.gestureNote !== null && note !== this.gestureNote) {
+                if (this.glideTime > 0) {
+                    this.legatoNote(this.gestureNote, note, frequency);
+                } else {
+                    this.noteOff(this.gestureNote);
+                    this.noteOn(note, frequency);
+                }
+                this.gestureNote = note;
+            }
+            
             // Update keyboard highlighting based on pinch state
-            const isPinching = this.handGestures.isPinchActive();
             this.updateKeyboardHighlight(noteIndex, isPinching);
         });
 
@@ -294,7 +798,32 @@ class WaveformGenerator {
             if (this.handGestures.hoveredElement) {
                 return;
             }
-            this.togglePlayback(pinch ? 'on' : 'off');
+            
+            // Releasing a pinch in the wave editor finishes the stroke
+            if (this.drawMode) {
+                if (!pinch && this.lastDrawIndex !== null) {
+                    this.commitDrawnWave();
+                }
+                return;
+            }
+            
+            this.performanceRecorder?.logEvent({ type: 'pinch', pinch, noteName: this.noteNames[this.currentNoteIndex] ?? null });
+            
+            if (pinch) {
+                // Play the key under the hand, or the current frequency if no key is hovered
+                const noteName = this.noteNames[this.currentNoteIndex];
+                const note = noteName ? this.noteNameToMIDI(noteName) : this.frequencyToMIDI(this.frequency);
+                const frequency = noteName ? this.notes[this.currentNoteIndex] : this.frequency;
+                
+                if (this.gestureNote !== null) {
+                    this.noteOff(this.gestureNote);
+                }
+                this.gestureNote = note;
+                this.noteOn(note, frequency, 1, this.glideTime > 0 && !this.glideLegato);
+            } else if (this.gestureNote !== null) {
+                this.noteOff(this.gestureNote);
+                this.gestureNote = null;
+            }
         });
     }
     
@@ -438,6 +967,25 @@ class WaveformGenerator {
         return `${noteNames[noteInOctave]}${octave}`;
     }
     
+    /**
+     * Convert MIDI number to frequency using equal temperament tuning
+     * @param {number} midiNumber - MIDI number (0-127)
+     * @returns {number} - Frequency in Hz
+     */
+    midiToFrequency(midiNumber) {
+        return 440 * Math.pow(2, (midiNumber - 69) / 12);
+    }
+    
+    /**
+     * Convert frequency to the nearest MIDI number
+     * @param {number} frequency - Frequency in Hz
+     * @returns {number} - MIDI number (0-127)
+     */
+    frequencyToMIDI(frequency) {
+        const midiNumber = Math.round(69 + 12 * Math.log2(frequency / 440));
+        return Math.max(0, Math.min(127, midiNumber));
+    }
+    
     /**
      * Update keyboard overlay after melody load, handling both modes properly
      */
@@ -946,6 +1494,13 @@ class WaveformGenerator {
                 this.toggleSongGuide();
             });
         }
+        
+        const recordBtn = document.getElementById('record-btn');
+        if (recordBtn) {
+            this.handGestures.registerClickableElement(recordBtn, () => {
+                this.toggleRecording();
+            });
+        }
     }
     
     /**
@@ -1013,7 +1568,15 @@ class WaveformGenerator {
             songGuideBtn.textContent = '🎵';
             songGuideBtn.title = 'Start/Stop Song Guide';
             
+            // Record button beside the song guide
+            const recordBtn = document.createElement('button');
+            recordBtn.id = 'record-btn';
+            recordBtn.className = 'video-control-btn';
+            recordBtn.textContent = '⏺';
+            recordBtn.title = 'Start/Stop Recording';
+            
             centerControls.appendChild(songGuideBtn);
+            centerControls.appendChild(recordBtn);
             
             // Right side controls
             const rightControls = document.createElement('div');
@@ -1038,6 +1601,7 @@ class WaveformGenerator {
             flipBtn.addEventListener('click', () => this.toggleCameraFlip());
             stopBtn.addEventListener('click', () => this.stopVideoGestures());
             songGuideBtn.addEventListener('click', () => this.toggleSongGuide());
+            recordBtn.addEventListener('click', () => this.toggleRecording());
             
             // Ensure perfect coverage after creating controls
             setTimeout(() => this.updateOverlayCoverage(), 50);
@@ -1123,6 +1687,80 @@ class WaveformGenerator {
         }
     }
     
+    /**
+     * Toggle recording of a take on/off
+     */
+    async toggleRecording() {
+        if (this.recordingStarting) {
+            return;
+        }
+        if (this.performanceRecorder?.isRecording) {
+            await this.stopRecording();
+        } else {
+            await this.startRecording();
+        }
+    }
+    
+    /**
+     * Start recording the master output and the note/pinch events
+     */
+    async startRecording() {
+        if (typeof MediaRecorder === 'undefined') {
+            this.showToast('Recording is not supported in this browser.', 'error');
+            return;
+        }
+        
+        // A second click while the context or worklet loads must not start another take
+        if (this.recordingStarting || this.performanceRecorder?.isRecording) {
+            return;
+        }
+        this.recordingStarting = true;
+        const ready = await this.ensureAudioContext();
+        this.recordingStarting = false;
+        if (!ready) {
+            return;
+        }
+        
+        // Taps the end of the chain, so takes sound exactly like the speakers
+        if (!this.performanceRecorder) {
+            this.performanceRecorder = new PerformanceRecorder(this.audioContext, this.outputStage.output);
+        }
+        this.performanceRecorder.start();
+        
+        const recordBtn = document.getElementById('record-btn');
+        if (recordBtn) {
+            recordBtn.classList.add('recording');
+            recordBtn.title = 'Stop Recording';
+        }
+        this.showToast('Recording...', 'info', 2000);
+    }
+    
+    /**
+     * Finish the take and add it to the session panel
+     */
+    async stopRecording() {
+        if (!this.performanceRecorder?.isRecording) {
+            return;
+        }
+        
+        const recordBtn = document.getElementById('record-btn');
+        if (recordBtn) {
+            recordBtn.classList.remove('recording');
+            recordBtn.title = 'Start Recording';
+        }
+        
+        try {
+            const take = await this.performanceRecorder.stop();
+            const name = `Take ${this.nextTakeNumber++}`;
+            this.takes.push({ name, ...take, url: URL.createObjectURL(take.audio) });
+            this.rebuildTakes();
+            this.showToast(`${name} recorded. Save, replay or discard it in the Session panel.`, 'success');
+        } catch (error) {
+            console.error('Recording error:', error);
+            this.showToast('Error recording take: ' + error.message, 'error');
+        }
+    }
+    
     /**
      * Stop video gestures and show play overlay
      */
@@ -1137,6 +1775,11 @@ class WaveformGenerator {
                     this.toggleSongGuide();
                 }
                 
+                // Keep the take that was being recorded
+                if (this.performanceRecorder?.isRecording) {
+                    this.stopRecording();
+                }
+                
                 // Clear any pending rest timer
                 if (this.restTimer) {
                     clearTimeout(this.restTimer);
@@ -1285,6 +1928,7 @@ class WaveformGenerator {
         // Update square wave controls after DOM is fully ready
         setTimeout(() => {
             this.updateSquareWaveControls();
+            this.updateOsc2Controls();
             // Start attention animation for first-time users
             this.addAttentionAnimation();
         }, 100);
@@ -1329,14 +1973,41 @@ class WaveformGenerator {
         this.addSliderListener('dutyCycle', (value) => {
             this.dutyCycle = parseFloat(value);
             this.updateWaveform();
-            // Force recreation of audio waveform when duty cycle changes
+            // The synth glides to the new duty cycle without restarting the note
             if (this.waveType === 'square') {
                 this.updateAudioWaveType();
             }
         });
         
+        // Pulse-width modulation: a mod matrix source sweeping the duty cycle
+        document.getElementById('pwmSource').addEventListener('change', (e) => {
+            this.pwmSource = e.target.value;
+            this.updateWaveform();
+            this.updateAudioModulation();
+        });
+        
+        this.addSliderListener('pwmDepth', (value) => {
+            this.pwmDepth = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioModulation();
+        });
+        
         document.getElementById('waveType').addEventListener('change', (e) => {
             this.waveType = e.target.value;
+            
+            // Nothing drawn yet - open the editor
+            if (this.waveType === 'custom' && !this.customWave) {
+                this.setDrawMode(true);
+            }
+            
+            // Empty wavetable - start from the basic shapes
+            if (this.waveType === 'wavetable' && this.wavetable.frames.length === 0) {
+                this.wavetable = {
+                    frames: ['sine', 'triangle', 'sawtooth', 'square'].map(waveType => this.waveFrameSeries(waveType))
+                };
+                this.updateWavetableFrameCount();
+            }
+            
             this.updateSquareWaveControls();
             this.updateWaveform();
             this.updateAudioWaveType();
@@ -1351,6 +2022,28 @@ class WaveformGenerator {
             this.ampScale = parseFloat(value);
         });
         
+        document.getElementById('showEnvelope').addEventListener('change', (e) => {
+            this.showEnvelope = e.target.checked;
+        });
+        
+        document.getElementById('scopeMode').addEventListener('change', (e) => {
+            this.scopeMode = e.target.value;
+            this.updateWaveform();
+        });
+        
+        this.setupWaveEditor();
+        
+        // Single-cycle WAV import
+        const waveFileInput = document.getElementById('waveFileInput');
+        document.getElementById('importWave').addEventListener('click', () => waveFileInput.click());
+        waveFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.importWaveFile(file);
+            }
+            waveFileInput.value = '';
+        });
+        
         // Modulation controls
         document.getElementById('enableAM').addEventListener('change', (e) => {
             this.amEnabled = e.target.checked;
@@ -1364,6 +2057,26 @@ class WaveformGenerator {
             this.updateAudioModulation();
         });
         
+        document.getElementById('amMode').addEventListener('change', (e) => {
+            this.amMode = e.target.value;
+            this.updateLfoSyncControls();
+            this.updateWaveform();
+            this.updateAudioModulation();
+        });
+        
+        document.getElementById('amRateMode').addEventListener('change', (e) => {
+            this.amRateMode = e.target.value;
+            this.updateLfoSyncControls();
+            this.updateWaveform();
+            this.updateAudioModulation();
+        });
+        
+        this.addSliderListener('amRatio', (value) => {
+            this.amRatio = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioModulation();
+        });
+        
         this.addSliderListener('amDepth', (value) => {
             this.amDepth = parseFloat(value);
             this.updateWaveform();
@@ -1388,52 +2101,413 @@ class WaveformGenerator {
             this.updateAudioModulation();
         });
         
-        // Playback controls
-        this.addSliderListener('volume', (value) => {
-            this.volume = parseFloat(value) / 100;
-            this.updateAudioVolume();
+        // AM/FM LFO shape and tempo sync
+        ['am', 'fm'].forEach(prefix => {
+            const shapeSelect = document.getElementById(`${prefix}Shape`);
+            const divisionSelect = document.getElementById(`${prefix}Division`);
+            shapeSelect.innerHTML = this.lfoShapeOptions(this[`${prefix}Shape`]);
+            divisionSelect.innerHTML = this.tempoDivisionOptions(this[`${prefix}Division`]);
+            
+            shapeSelect.addEventListener('change', (e) => {
+                this[`${prefix}Shape`] = e.target.value;
+                this.updateWaveform();
+                this.updateAudioModulation();
+            });
+            
+            document.getElementById(`${prefix}Sync`).addEventListener('change', (e) => {
+                this[`${prefix}Sync`] = e.target.checked;
+                this.updateLfoSyncControls();
+                this.updateWaveform();
+                this.updateAudioModulation();
+            });
+            
+            divisionSelect.addEventListener('change', (e) => {
+                this[`${prefix}Division`] = parseFloat(e.target.value);
+                this.updateWaveform();
+                this.updateAudioModulation();
+            });
         });
         
-        document.getElementById('playStopBtn').addEventListener('click', () => {
-            this.togglePlayback();
+        // Envelope controls (sliders are in ms, stored in seconds)
+        this.addSliderListener('envAttack', (value) => {
+            this.envAttack = parseFloat(value) / 1000;
+            this.updateAudioEnvelope();
         });
         
-        // Harmonics
-        document.getElementById('addHarmonic').addEventListener('click', () => {
-            this.addHarmonic();
+        this.addSliderListener('envDecay', (value) => {
+            this.envDecay = parseFloat(value) / 1000;
+            this.updateAudioEnvelope();
         });
         
-        // Presets
-        document.getElementById('savePreset').addEventListener('click', () => {
-            this.savePreset();
+        this.addSliderListener('envSustain', (value) => {
+            this.envSustain = parseFloat(value);
+            this.updateAudioEnvelope();
         });
         
-        document.getElementById('loadPreset').addEventListener('click', () => {
-            this.loadPreset();
+        this.addSliderListener('envRelease', (value) => {
+            this.envRelease = parseFloat(value) / 1000;
+            this.updateAudioEnvelope();
         });
         
-        document.getElementById('deletePreset').addEventListener('click', () => {
-            this.deletePreset();
+        // Wavetable controls
+        document.getElementById('addWavetableFrame').addEventListener('click', () => {
+            this.addWavetableFrame(document.getElementById('wavetableFrameSource').value);
         });
         
-        document.getElementById('sharePreset').addEventListener('click', () => {
-            this.sharePreset();
+        document.getElementById('clearWavetable').addEventListener('click', () => {
+            this.wavetable = { frames: [] };
+            this.updateWavetableFrameCount();
+            this.updateWaveform();
+            this.updateAudioWavetable();
         });
         
-        // Collapsible sections
-        this.setupCollapsibleSections();
-    }
-    
-    /**
-     * Setup collapsible sections with toggle functionality
-     */
-    setupCollapsibleSections() {
-        // Header toggle
-        const headerToggle = document.getElementById('headerToggle');
-        const topBar = document.getElementById('topBar');
-        if (headerToggle && topBar) {
-            headerToggle.addEventListener('click', () => {
-                topBar.classList.toggle('collapsed');
+        this.addSliderListener('wavetablePosition', (value) => {
+            this.wavetablePosition = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioWavetable();
+        });
+        
+        document.getElementById('wavetableModSource').addEventListener('change', (e) => {
+            this.wavetableModSource = e.target.value;
+            this.updateWaveform();
+            this.updateAudioWavetable();
+        });
+        
+        this.addSliderListener('wavetableModDepth', (value) => {
+            this.wavetableModDepth = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioWavetable();
+        });
+        
+        // Second oscillator controls
+        document.getElementById('enableOsc2').addEventListener('change', (e) => {
+            this.osc2Enabled = e.target.checked;
+            this.updateWaveform();
+            this.updateAudioOsc2();
+        });
+        
+        document.getElementById('osc2WaveType').addEventListener('change', (e) => {
+            this.osc2WaveType = e.target.value;
+            this.updateOsc2Controls();
+            this.updateWaveform();
+            this.updateAudioOsc2();
+        });
+        
+        ['osc2Level', 'osc2Octave', 'osc2Semitones', 'osc2Cents', 'osc2Phase', 'osc2DutyCycle', 'osc2Smoothing'].forEach(id => {
+            this.addSliderListener(id, (value) => {
+                this[id] = parseFloat(value);
+                this.updateWaveform();
+                this.updateAudioOsc2();
+            });
+        });
+        
+        document.getElementById('osc2Sync').addEventListener('change', (e) => {
+            this.osc2Sync = e.target.checked;
+            this.updateWaveform();
+            this.updateAudioOsc2();
+        });
+        
+        // Sub-oscillator controls
+        document.getElementById('enableSub').addEventListener('change', (e) => {
+            this.subEnabled = e.target.checked;
+            this.updateWaveform();
+            this.updateAudioOsc2();
+        });
+        
+        document.getElementById('subWaveType').addEventListener('change', (e) => {
+            this.subWaveType = e.target.value;
+            this.updateWaveform();
+            this.updateAudioOsc2();
+        });
+        
+        document.getElementById('subOctave').addEventListener('change', (e) => {
+            this.subOctave = parseInt(e.target.value);
+            this.updateWaveform();
+            this.updateAudioOsc2();
+        });
+        
+        this.addSliderListener('subLevel', (value) => {
+            this.subLevel = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioOsc2();
+        });
+        
+        // Noise controls
+        document.getElementById('enableNoise').addEventListener('change', (e) => {
+            this.noiseEnabled = e.target.checked;
+            this.updateWaveform();
+            this.updateAudioNoise();
+        });
+        
+        document.getElementById('noiseType').addEventListener('change', (e) => {
+            this.noiseType = e.target.value;
+            this.updateWaveform();
+            this.updateAudioNoise();
+        });
+        
+        this.addSliderListener('noiseLevel', (value) => {
+            this.noiseLevel = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioNoise();
+        });
+        
+        document.getElementById('noiseFiltered').addEventListener('change', (e) => {
+            this.noiseFiltered = e.target.checked;
+            this.updateWaveform();
+            this.updateAudioNoise();
+        });
+        
+        // FM operator controls
+        document.getElementById('operatorCount').addEventListener('change', (e) => {
+            this.operatorCount = parseInt(e.target.value, 10);
+            this.operatorAlgorithm = 0;
+            this.rebuildOperators();
+            this.updateWaveform();
+            this.updateAudioOperators();
+        });
+        
+        document.getElementById('operatorAlgorithm').addEventListener('change', (e) => {
+            this.operatorAlgorithm = parseInt(e.target.value, 10);
+            this.rebuildOperators();
+            this.updateWaveform();
+            this.updateAudioOperators();
+        });
+        
+        this.addSliderListener('operatorFeedback', (value) => {
+            this.operatorFeedback = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioOperators();
+        });
+        this.rebuildOperators();
+        
+        // Modulation matrix controls
+        document.getElementById('addLfo').addEventListener('click', () => this.addLfo());
+        document.getElementById('addModEnvelope').addEventListener('click', () => this.addModEnvelope());
+        document.getElementById('addModRoute').addEventListener('click', () => this.addModRoute());
+        this.rebuildModMatrix();
+        
+        // Effects rack controls
+        document.getElementById('addEffect').addEventListener('click', () => {
+            this.addEffect(document.getElementById('effectType').value);
+        });
+        this.rebuildEffects();
+        
+        // Output controls
+        document.getElementById('limiterEnabled').addEventListener('change', (e) => {
+            this.limiterEnabled = e.target.checked;
+            this.updateAudioLimiter();
+        });
+        
+        this.addSliderListener('limiterCeiling', (value) => {
+            this.limiterCeiling = parseFloat(value);
+            document.getElementById('limiterCeilingValue').textContent = this.limiterCeiling.toFixed(1);
+            this.updateAudioLimiter();
+        });
+        
+        document.getElementById('showMeters').addEventListener('change', (e) => {
+            this.showMeters = e.target.checked;
+        });
+        
+        document.getElementById('normalizeHarmonics').addEventListener('change', (e) => {
+            this.normalizeHarmonics = e.target.checked;
+            this.updateWaveform();
+            this.updateAudioHarmonics();
+        });
+        
+        // Export controls
+        document.getElementById('exportSource').addEventListener('change', (e) => {
+            this.exportSource = e.target.value;
+            // The melody sets its own length
+            document.getElementById('exportDuration').disabled = this.exportSource === 'melody';
+        });
+        
+        this.addSliderListener('exportDuration', (value) => {
+            this.exportDuration = parseFloat(value);
+            document.getElementById('exportDurationValue').textContent = this.exportDuration.toFixed(1);
+        });
+        
+        document.getElementById('exportSampleRate').addEventListener('change', (e) => {
+            this.exportSampleRate = parseInt(e.target.value);
+        });
+        
+        document.getElementById('exportBitDepth').addEventListener('change', (e) => {
+            this.exportBitDepth = parseInt(e.target.value);
+        });
+        
+        document.getElementById('exportFormat').addEventListener('change', (e) => {
+            this.exportFormat = e.target.value;
+            // FLAC stores integer samples only
+            const bitDepthSelect = document.getElementById('exportBitDepth');
+            bitDepthSelect.querySelector('option[value="32"]').disabled = this.exportFormat === 'flac';
+            if (this.exportFormat === 'flac' && this.exportBitDepth === 32) {
+                this.exportBitDepth = 24;
+                bitDepthSelect.value = '24';
+            }
+        });
+        
+        this.addSliderListener('exportFadeIn', (value) => {
+            this.exportFadeIn = parseFloat(value) / 1000;
+            document.getElementById('exportFadeInValue').textContent = value;
+        });
+        
+        this.addSliderListener('exportFadeOut', (value) => {
+            this.exportFadeOut = parseFloat(value) / 1000;
+            document.getElementById('exportFadeOutValue').textContent = value;
+        });
+        
+        document.getElementById('exportAudio').addEventListener('click', () => {
+            this.exportAudio();
+        });
+        
+        // Session controls
+        const captureGridSelect = document.getElementById('captureGrid');
+        captureGridSelect.innerHTML = this.tempoDivisionOptions(this.captureGrid);
+        captureGridSelect.addEventListener('change', (e) => {
+            this.captureGrid = parseFloat(e.target.value);
+        });
+        
+        // Filter controls
+        document.getElementById('enableFilter').addEventListener('change', (e) => {
+            this.filterEnabled = e.target.checked;
+            this.updateWaveform();
+            this.updateAudioFilter();
+        });
+        
+        document.getElementById('filterType').addEventListener('change', (e) => {
+            this.filterType = e.target.value;
+            this.updateWaveform();
+            this.updateAudioFilter();
+        });
+        
+        this.addSliderListener('filterCutoff', (value) => {
+            this.filterCutoff = this.sliderToCutoff(parseFloat(value));
+            document.getElementById('filterCutoffValue').textContent = this.filterCutoff.toFixed(0);
+            this.updateWaveform();
+            this.updateAudioFilter();
+        });
+        
+        this.addSliderListener('filterResonance', (value) => {
+            this.filterResonance = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioFilter();
+        });
+        
+        this.addSliderListener('filterGain', (value) => {
+            this.filterGain = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioFilter();
+        });
+        
+        this.addSliderListener('filterEnvAmount', (value) => {
+            this.filterEnvAmount = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioFilter();
+        });
+        
+        this.addSliderListener('filterKeyTrack', (value) => {
+            this.filterKeyTrack = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioFilter();
+        });
+        
+        // Voice controls
+        this.addSliderListener('voiceCount', (value) => {
+            this.voiceCount = parseInt(value);
+            this.updateVoiceCount();
+        });
+        
+        document.getElementById('voiceStealMode').addEventListener('change', (e) => {
+            this.voiceStealMode = e.target.value;
+            this.updateVoiceCount();
+        });
+        
+        document.getElementById('oscQuality').addEventListener('change', (e) => {
+            this.oscQuality = e.target.value;
+            this.updateWaveform();
+            this.updateAudioWaveType();
+        });
+        
+        // Unison controls (the copy count applies from the next note)
+        this.addSliderListener('unisonCount', (value) => {
+            this.unisonCount = parseInt(value);
+            this.updateWaveform();
+            this.updateAudioModulation();
+        });
+        
+        this.addSliderListener('unisonDetune', (value) => {
+            this.unisonDetune = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioModulation();
+        });
+        
+        this.addSliderListener('unisonWidth', (value) => {
+            this.unisonWidth = parseFloat(value);
+            this.updateWaveform();
+            this.updateAudioModulation();
+        });
+        
+        // Portamento controls
+        this.addSliderListener('glideTime', (value) => {
+            this.glideTime = parseFloat(value) / 1000;
+            this.updateAudioGlide();
+        });
+        
+        document.getElementById('glideCurve').addEventListener('change', (e) => {
+            this.glideCurve = e.target.value;
+            this.updateAudioGlide();
+        });
+        
+        document.getElementById('glideLegato').addEventListener('change', (e) => {
+            this.glideLegato = e.target.checked;
+            this.updateAudioGlide();
+        });
+        
+        // Playback controls
+        this.addSliderListener('volume', (value) => {
+            this.volume = parseFloat(value) / 100;
+            this.updateAudioVolume();
+        });
+        
+        document.getElementById('playStopBtn').addEventListener('click', () => {
+            this.togglePlayback();
+        });
+        
+        // Harmonics
+        document.getElementById('addHarmonic').addEventListener('click', () => {
+            this.addHarmonic();
+        });
+        
+        // Presets
+        document.getElementById('savePreset').addEventListener('click', () => {
+            this.savePreset();
+        });
+        
+        document.getElementById('loadPreset').addEventListener('click', () => {
+            this.loadPreset();
+        });
+        
+        document.getElementById('deletePreset').addEventListener('click', () => {
+            this.deletePreset();
+        });
+        
+        document.getElementById('sharePreset').addEventListener('click', () => {
+            this.sharePreset();
+        });
+        
+        // Collapsible sections
+        this.setupCollapsibleSections();
+    }
+    
+    /**
+     * Setup collapsible sections with toggle functionality
+     */
+    setupCollapsibleSections() {
+        // Header toggle
+        const headerToggle = document.getElementById('headerToggle');
+        const topBar = document.getElementById('topBar');
+        if (headerToggle && topBar) {
+            headerToggle.addEventListener('click', () => {
+                topBar.classList.toggle('collapsed');
                 headerToggle.classList.toggle('collapsed');
             });
         }
@@ -1458,6 +2532,136 @@ class WaveformGenerator {
             });
         }
         
+        // Envelope section
+        const envelopeToggle = document.getElementById('envelopeToggle');
+        const envelopeSection = document.getElementById('envelopeSection');
+        if (envelopeToggle && envelopeSection) {
+            envelopeToggle.addEventListener('click', () => {
+                envelopeSection.classList.toggle('collapsed');
+                envelopeToggle.classList.toggle('collapsed');
+            });
+        }
+        
+        // Wavetable section
+        const wavetableToggle = document.getElementById('wavetableToggle');
+        const wavetableSection = document.getElementById('wavetableSection');
+        if (wavetableToggle && wavetableSection) {
+            wavetableToggle.addEventListener('click', () => {
+                wavetableSection.classList.toggle('collapsed');
+                wavetableToggle.classList.toggle('collapsed');
+            });
+        }
+        
+        // Second oscillator section
+        const osc2Toggle = document.getElementById('osc2Toggle');
+        const osc2Section = document.getElementById('osc2Section');
+        if (osc2Toggle && osc2Section) {
+            osc2Toggle.addEventListener('click', () => {
+                osc2Section.classList.toggle('collapsed');
+                osc2Toggle.classList.toggle('collapsed');
+            });
+        }
+        
+        // Sub-oscillator section
+        const subToggle = document.getElementById('subToggle');
+        const subSection = document.getElementById('subSection');
+        if (subToggle && subSection) {
+            subToggle.addEventListener('click', () => {
+                subSection.classList.toggle('collapsed');
+                subToggle.classList.toggle('collapsed');
+            });
+        }
+        
+        // Noise section
+        const noiseToggle = document.getElementById('noiseToggle');
+        const noiseSection = document.getElementById('noiseSection');
+        if (noiseToggle && noiseSection) {
+            noiseToggle.addEventListener('click', () => {
+                noiseSection.classList.toggle('collapsed');
+                noiseToggle.classList.toggle('collapsed');
+            });
+        }
+        
+        // FM operator section
+        const operatorToggle = document.getElementById('operatorToggle');
+        const operatorSection = document.getElementById('operatorSection');
+        if (operatorToggle && operatorSection) {
+            operatorToggle.addEventListener('click', () => {
+                operatorSection.classList.toggle('collapsed');
+                operatorToggle.classList.toggle('collapsed');
+            });
+        }
+        
+        // Modulation matrix section
+        const modMatrixToggle = document.getElementById('modMatrixToggle');
+        const modMatrixSection = document.getElementById('modMatrixSection');
+        if (modMatrixToggle && modMatrixSection) {
+            modMatrixToggle.addEventListener('click', () => {
+                modMatrixSection.classList.toggle('collapsed');
+                modMatrixToggle.classList.toggle('collapsed');
+            });
+        }
+        
+        // Filter section
+        const filterToggle = document.getElementById('filterToggle');
+        const filterSection = document.getElementById('filterSection');
+        if (filterToggle && filterSection) {
+            filterToggle.addEventListener('click', () => {
+                filterSection.classList.toggle('collapsed');
+                filterToggle.classList.toggle('collapsed');
+            });
+        }
+        
+        // Effects section
+        const effectsToggle = document.getElementById('effectsToggle');
+        const effectsSection = document.getElementById('effectsSection');
+        if (effectsToggle && effectsSection) {
+            effectsToggle.addEventListener('click', () => {
+                effectsSection.classList.toggle('collapsed');
+                effectsToggle.classList.toggle('collapsed');
+            });
+        }
+        
+        // Output section
+        const outputToggle = document.getElementById('outputToggle');
+        const outputSection = document.getElementById('outputSection');
+        if (outputToggle && outputSection) {
+            outputToggle.addEventListener('click', () => {
+                outputSection.classList.toggle('collapsed');
+                outputToggle.classList.toggle('collapsed');
+            });
+        }
+        
+        // Export section
+        const exportToggle = document.getElementById('exportToggle');
+        const exportSection = document.getElementById('exportSection');
+        if (exportToggle && exportSection) {
+            exportToggle.addEventListener('click', () => {
+                exportSection.classList.toggle('collapsed');
+                exportToggle.classList.toggle('collapsed');
+            });
+        }
+        
+        // Session section
+        const sessionToggle = document.getElementById('sessionToggle');
+        const sessionSection = document.getElementById('sessionSection');
+        if (sessionToggle && sessionSection) {
+            sessionToggle.addEventListener('click', () => {
+                sessionSection.classList.toggle('collapsed');
+                sessionToggle.classList.toggle('collapsed');
+            });
+        }
+        
+        // Voices section
+        const voicesToggle = document.getElementById('voicesToggle');
+        const voicesSection = document.getElementById('voicesSection');
+        if (voicesToggle && voicesSection) {
+            voicesToggle.addEventListener('click', () => {
+                voicesSection.classList.toggle('collapsed');
+                voicesToggle.classList.toggle('collapsed');
+            });
+        }
+        
         // Harmonics section
         const harmonicsToggle = document.getElementById('harmonicsToggle');
         const harmonicsSection = document.getElementById('harmonicsSection');
@@ -1487,9 +2691,16 @@ class WaveformGenerator {
             'amFreq': 'amFreqValue',
             'amDepth': 'amDepthValue',
             'fmFreq': 'fmFreqValue',
-            'fmDepth': 'fmDepthValue'
+            'fmDepth': 'fmDepthValue',
+            'envAttack': 'envAttackValue',
+            'envDecay': 'envDecayValue',
+            'envSustain': 'envSustainValue',
+            'envRelease': 'envReleaseValue',
+            'voiceCount': 'voiceCountValue',
+            'glideTime': 'glideTimeValue'
         };
-        const valueDisplay = document.getElementById(valueDisplayMap[id] || id + 'Value');
+        // Sliders built at runtime (harmonics, modulation, operators, effects) show their value in `${id}-value`
+        const valueDisplay = document.getElementById(valueDisplayMap[id] || id + 'Value') || document.getElementById(`${id}-value`);
         
         if (!slider) {
             console.warn(`Slider with id '${id}' not found`);
@@ -1500,9 +2711,9 @@ class WaveformGenerator {
             const value = e.target.value;
             if (valueDisplay) {
                 // Format different types of values appropriately
-                if (id === 'frequency') {
+                if (id === 'frequency' || id.endsWith('-phase')) {
                     valueDisplay.textContent = parseFloat(value).toFixed(0);
-                } else if (id === 'phase' || id === 'dutyCycle') {
+                } else if (id === 'phase' || id === 'dutyCycle' || id === 'pwmDepth' || id === 'osc2Octave' || id === 'osc2Semitones' || id === 'osc2Cents' || id === 'osc2Phase' || id === 'osc2DutyCycle' || id === 'envAttack' || id === 'envDecay' || id === 'envRelease' || id === 'voiceCount' || id === 'unisonCount' || id === 'unisonDetune' || id === 'glideTime') {
                     valueDisplay.textContent = parseFloat(value).toFixed(0);
                 } else {
                     valueDisplay.textContent = parseFloat(value).toFixed(2);
@@ -1516,52 +2727,33 @@ class WaveformGenerator {
      * Show/hide square wave specific controls based on selected wave type
      */
     updateSquareWaveControls() {
-        const smoothingControl = document.getElementById('smoothingControl');
-        const dutyCycleControl = document.getElementById('dutyCycleControl');
+        const controls = ['smoothingControl', 'dutyCycleControl', 'pwmSourceControl', 'pwmDepthControl']
+            .map(id => document.getElementById(id));
         
-        if (!smoothingControl || !dutyCycleControl) {
+        if (controls.some(control => !control)) {
             console.warn('Square wave control elements not found');
             return;
         }
         
         console.log(`Updating square wave controls for wave type: ${this.waveType}`);
         
-        if (this.waveType === 'square') {
-            smoothingControl.classList.add('visible');
-            dutyCycleControl.classList.add('visible');
-            smoothingControl.style.display = 'flex';
-            dutyCycleControl.style.display = 'flex';
-        } else {
-            smoothingControl.classList.remove('visible');
-            dutyCycleControl.classList.remove('visible');
-            smoothingControl.style.display = 'none';
-            dutyCycleControl.style.display = 'none';
-        }
+        controls.forEach(control => {
+            if (this.waveType === 'square') {
+                control.classList.add('visible');
+                control.style.display = 'flex';
+            } else {
+                control.classList.remove('visible');
+                control.style.display = 'none';
+            }
+        });
     }
 
     /**
-     * Helper method for harmonic slider listeners with custom value display ID
+     * Show duty cycle and rise time for the second oscillator only when it is a square wave
      */
-    addHarmonicSliderListener(sliderId, valueDisplayId, callback) {
-        const slider = document.getElementById(sliderId);
-        const valueDisplay = document.getElementById(valueDisplayId);
-        
-        if (!slider) {
-            console.warn(`Harmonic slider with id '${sliderId}' not found`);
-            return;
-        }
-        
-        slider.addEventListener('input', (e) => {
-            const value = e.target.value;
-            if (valueDisplay) {
-                // Format phase values as integers, others as 2 decimal places
-                if (sliderId.includes('-phase')) {
-                    valueDisplay.textContent = parseInt(value);
-                } else {
-                    valueDisplay.textContent = parseFloat(value).toFixed(2);
-                }
-            }
-            callback(value);
+    updateOsc2Controls() {
+        ['osc2DutyCycle', 'osc2Smoothing'].forEach(id => {
+            document.getElementById(id).closest('label').style.display = this.osc2WaveType === 'square' ? 'flex' : 'none';
         });
     }
     
@@ -1571,6 +2763,7 @@ class WaveformGenerator {
     addHarmonic() {
         // Add to harmonics array
         this.harmonics.push({
+            id: this.nextHarmonicId++,
             multiplier: 2,
             amplitude: 0.3,
             phase: 0 // Phase in degrees
@@ -1590,6 +2783,15 @@ class WaveformGenerator {
         // Remove from array (index is 0-based)
         this.harmonics.splice(index, 1);
         
+        // Routes name their harmonic by position: drop the ones aimed at it and shift later ones down
+        this.modRoutes = this.modRoutes.filter(route =>
+            !((route.harmonic || 0) === index && (route.destination === 'harmonicAmplitude' || route.destination === 'harmonicPhase')));
+        this.modRoutes.forEach(route => {
+            if (route.harmonic > index) {
+                route.harmonic--;
+            }
+        });
+        
         // Recalculate and rebuild all harmonics
         this.rebuildAllHarmonics();
         
@@ -1652,112 +2854,784 @@ class WaveformGenerator {
             container.appendChild(harmonicDiv);
             
             // Add event listeners for the harmonic controls
-            this.addHarmonicSliderListener(`harmonic-${harmonicId}-mult`, `harmonic-${harmonicId}-mult-value`, (value) => {
+            this.addSliderListener(`harmonic-${harmonicId}-mult`, (value) => {
                 this.harmonics[index].multiplier = parseFloat(value);
                 this.updateWaveform();
                 this.updateAudioHarmonics();
             });
             
-            this.addHarmonicSliderListener(`harmonic-${harmonicId}-amp`, `harmonic-${harmonicId}-amp-value`, (value) => {
+            this.addSliderListener(`harmonic-${harmonicId}-amp`, (value) => {
                 this.harmonics[index].amplitude = parseFloat(value);
                 this.updateWaveform();
                 this.updateAudioHarmonics();
             });
             
-            this.addHarmonicSliderListener(`harmonic-${harmonicId}-phase`, `harmonic-${harmonicId}-phase-value`, (value) => {
+            this.addSliderListener(`harmonic-${harmonicId}-phase`, (value) => {
                 this.harmonics[index].phase = parseFloat(value);
                 this.updateWaveform();
                 this.updateAudioHarmonics();
             });
         });
+        
+        // Harmonic routes list the harmonics by number
+        this.rebuildModMatrix();
     }
     
     /**
-     * Generate base waveform based on selected type
-     */
-    generateBaseWaveform(t) {
-        switch (this.waveType) {
-            case 'sine':
-                return Math.sin(2 * Math.PI * this.frequency * t + this.phase);
-            case 'square':
-                const squarePhase = (2 * Math.PI * this.frequency * t + this.phase) % (2 * Math.PI);
-                const normalizedPhase = squarePhase / (2 * Math.PI); // 0 to 1
-                
-                // Create square wave with duty cycle and smoothed rising edge
-                const dutyCycleRatio = this.dutyCycle / 100; // Convert percentage to ratio
-                const maxRiseTime = dutyCycleRatio * 0.5; // Max rise time is 50% of duty cycle width
-                const riseTime = Math.min(this.smoothing * 0.5, maxRiseTime); // Limit rise time
-                
-                if (normalizedPhase < riseTime) {
-                    // Smooth rising edge using exponential curve for natural sound
-                    const riseProgress = normalizedPhase / riseTime;
-                    // Use exponential curve for more natural rising edge
-                    const smoothedRise = 1 - Math.exp(-5 * riseProgress);
-                    return -1 + 2 * smoothedRise;
-                } else if (normalizedPhase < dutyCycleRatio) {
-                    // High plateau - duration controlled by duty cycle
-                    return 1;
-                } else {
-                    // Instant falling edge and low plateau
-                    return -1;
-                }
-            case 'sawtooth':
-                return 2 * ((this.frequency * t + this.phase / (2 * Math.PI)) % 1) - 1;
-            case 'triangle':
-                const sawValue = 2 * ((this.frequency * t + this.phase / (2 * Math.PI)) % 1) - 1;
-                return 2 * Math.abs(sawValue) - 1;
-            default:
-                return Math.sin(2 * Math.PI * this.frequency * t + this.phase);
-        }
-    }
-    
-    /**
-     * Calculate complete waveform with harmonics and modulation
+     * Rebuild the LFO, envelope and route controls of the modulation matrix
      */
-    updateWaveform() {
-        const samplesPerCycle = this.sampleRate / this.frequency;
-        const cyclesToShow = Math.max(1, Math.floor(this.bufferSize / samplesPerCycle));
-        const timePerSample = 1 / this.sampleRate;
-        
-        for (let i = 0; i < this.bufferSize; i++) {
-            const t = i * timePerSample;
+    rebuildModMatrix() {
+        const lfoContainer = document.getElementById('lfoContainer');
+        const envContainer = document.getElementById('modEnvelopeContainer');
+        const routeContainer = document.getElementById('modRouteContainer');
+        lfoContainer.innerHTML = '';
+        envContainer.innerHTML = '';
+        routeContainer.innerHTML = '';
+        
+        // LFOs
+        this.lfos.forEach((lfo, index) => {
+            const lfoDiv = this.createModCard(`LFO ${index + 1}`, () => this.removeModSource('lfo', index));
+            lfoDiv.querySelector('div').innerHTML = `
+                <label>
+                    <div class="label-row">
+                        <span class="label-text">Shape:</span>
+                    </div>
+                    <select id="lfo-${index}-shape">${this.lfoShapeOptions(lfo.shape)}</select>
+                </label>
+                <label style="display: ${lfo.sync ? 'none' : 'flex'};">
+                    <div class="label-row">
+                        <span class="label-text">Rate:</span>
+                        <span class="label-value"><span id="lfo-${index}-rate-value">${lfo.rate.toFixed(2)}</span> Hz</span>
+                    </div>
+                    <input type="range" id="lfo-${index}-rate" min="0.01" max="20" step="0.01" value="${lfo.rate}">
+                </label>
+                <label style="display: ${lfo.sync ? 'flex' : 'none'};">
+                    <div class="label-row">
+                        <span class="label-text">Division:</span>
+                    </div>
+                    <select id="lfo-${index}-division">${this.tempoDivisionOptions(lfo.division)}</select>
+                </label>
+                <label class="sync-toggle">
+                    <input type="checkbox" id="lfo-${index}-sync" ${lfo.sync ? 'checked' : ''}> Sync to tempo
+                </label>
+            `;
+            lfoContainer.appendChild(lfoDiv);
             
-            // Base waveform
-            let sample = this.generateBaseWaveform(t);
+            document.getElementById(`lfo-${index}-shape`).addEventListener('change', (e) => {
+                this.lfos[index].shape = e.target.value;
+                this.updateWaveform();
+                this.updateAudioModulation();
+            });
             
-            // Add harmonics
-            for (const harmonic of this.harmonics) {
-                const harmonicFreq = this.frequency * harmonic.multiplier;
-                const harmonicPhase = this.phase + (harmonic.phase * Math.PI / 180); // Convert degrees to radians
-                sample += harmonic.amplitude * Math.sin(2 * Math.PI * harmonicFreq * t + harmonicPhase);
-            }
+            this.addSliderListener(`lfo-${index}-rate`, (value) => {
+                this.lfos[index].rate = parseFloat(value);
+                this.updateWaveform();
+                this.updateAudioModulation();
+            });
+            
+            document.getElementById(`lfo-${index}-division`).addEventListener('change', (e) => {
+                this.lfos[index].division = parseFloat(e.target.value);
+                this.updateWaveform();
+                this.updateAudioModulation();
+            });
+            
+            document.getElementById(`lfo-${index}-sync`).addEventListener('change', (e) => {
+                this.lfos[index].sync = e.target.checked;
+                document.getElementById(`lfo-${index}-rate`).closest('label').style.display = e.target.checked ? 'none' : 'flex';
+                document.getElementById(`lfo-${index}-division`).closest('label').style.display = e.target.checked ? 'flex' : 'none';
+                this.updateWaveform();
+                this.updateAudioModulation();
+            });
+        });
+        
+        // Envelopes (times in ms on the sliders, seconds in state)
+        this.modEnvelopes.forEach((envelope, index) => {
+            const envDiv = this.createModCard(`Env ${index + 1}`, () => this.removeModSource('env', index));
+            const stages = this.envelopeStages;
+            envDiv.querySelector('div').innerHTML = stages.map(stage => `
+                <label>
+                    <div class="label-row">
+                        <span class="label-text">${stage.label}:</span>
+                        <span class="label-value"><span id="modenv-${index}-${stage.key}-value">${(envelope[stage.key] * stage.scale).toFixed(stage.scale > 1 ? 0 : 2)}</span>${stage.unit}</span>
+                    </div>
+                    <input type="range" id="modenv-${index}-${stage.key}" min="${stage.min}" max="${stage.max}" step="${stage.step}" value="${envelope[stage.key] * stage.scale}">
+                </label>
+            `).join('');
+            envContainer.appendChild(envDiv);
+            
+            stages.forEach(stage => {
+                this.addSliderListener(`modenv-${index}-${stage.key}`, (value) => {
+                    this.modEnvelopes[index][stage.key] = parseFloat(value) / stage.scale;
+                    if (stage.scale > 1) {
+                        document.getElementById(`modenv-${index}-${stage.key}-value`).textContent = parseFloat(value).toFixed(0);
+                    }
+                    this.updateWaveform();
+                    this.updateAudioModulation();
+                });
+            });
+        });
+        
+        // Routes
+        const sources = [
+            ...this.lfos.map((lfo, index) => ({ value: `lfo${index + 1}`, label: `LFO ${index + 1}` })),
+            ...this.modEnvelopes.map((envelope, index) => ({ value: `env${index + 1}`, label: `Env ${index + 1}` }))
+        ];
+        
+        // The PWM shortcut picks from the same sources
+        document.getElementById('pwmSource').innerHTML = [{ value: '', label: 'Off' }, ...sources].map(source =>
+            `<option value="${source.value}" ${source.value === this.pwmSource ? 'selected' : ''}>${source.label}</option>`
+        ).join('');
+        
+        this.modRoutes.forEach((route, index) => {
+            const destination = this.modDestinations[route.destination];
+            const isHarmonicRoute = route.destination === 'harmonicAmplitude' || route.destination === 'harmonicPhase';
+            const routeDiv = this.createModCard(`Route ${index + 1}`, () => this.removeModRoute(index));
+            routeDiv.querySelector('div').innerHTML = `
+                <label>
+                    <div class="label-row">
+                        <span class="label-text">Source:</span>
+                    </div>
+                    <select id="modroute-${index}-source">
+                        ${sources.map(source => `<option value="${source.value}">${source.label}</option>`).join('')}
+                    </select>
+                </label>
+                <label>
+                    <div class="label-row">
+                        <span class="label-text">Destination:</span>
+                    </div>
+                    <select id="modroute-${index}-destination">
+                        ${Object.entries(this.modDestinations).map(([value, dest]) => `<option value="${value}">${dest.label}</option>`).join('')}
+                    </select>
+                </label>
+                <label style="display: ${isHarmonicRoute ? 'flex' : 'none'}">
+                    <div class="label-row">
+                        <span class="label-text">Harmonic:</span>
+                    </div>
+                    <select id="modroute-${index}-harmonic">
+                        ${this.harmonics.map((harmonic, h) => `<option value="${h}">Harmonic ${h + 1}</option>`).join('')}
+                    </select>
+                </label>
+                <label>
+                    <div class="label-row">
+                        <span class="label-text">Depth:</span>
+                        <span class="label-value"><span id="modroute-${index}-depth-value">${route.depth.toFixed(2)}</span>${destination.unit}</span>
+                    </div>
+                    <input type="range" id="modroute-${index}-depth" min="${-destination.range}" max="${destination.range}" step="${destination.step}" value="${route.depth}">
+                </label>
+            `;
+            routeContainer.appendChild(routeDiv);
+            
+            routeDiv.querySelector(`#modroute-${index}-source`).value = route.source;
+            routeDiv.querySelector(`#modroute-${index}-destination`).value = route.destination;
+            routeDiv.querySelector(`#modroute-${index}-harmonic`).value = route.harmonic;
+            
+            // Rewiring a route gives it a new id so the synth fades the old connection out
+            routeDiv.querySelectorAll('select').forEach(select => {
+                select.addEventListener('change', (e) => {
+                    const field = e.target.id.split('-').pop();
+                    const value = field === 'harmonic' ? parseInt(e.target.value) : e.target.value;
+                    this.modRoutes[index] = { ...this.modRoutes[index], [field]: value, id: this.nextModRouteId++ };
+                    
+                    // Depth units depend on the destination
+                    if (field === 'destination') {
+                        this.modRoutes[index].depth = 0;
+                        this.rebuildModMatrix();
+                    }
+                    this.updateWaveform();
+                    this.updateAudioModulation();
+                });
+            });
+            
+            this.addSliderListener(`modroute-${index}-depth`, (value) => {
+                this.modRoutes[index].depth = parseFloat(value);
+                this.updateWaveform();
+                this.updateAudioModulation();
+            });
+        });
+    }
+    
+    /**
+     * Card with a title badge and delete button, matching the harmonic controls
+     */
+    createModCard(title, onDelete) {
+        const card = document.createElement('div');
+        card.className = 'harmonic-control mod-card';
+        card.innerHTML = `
+            <span>${title}</span>
+            <button class="delete-btn" title="Delete">🗑️</button>
+            <div></div>
+        `;
+        card.querySelector('.delete-btn').addEventListener('click', onDelete);
+        return card;
+    }
+    
+    /**
+     * Starting operators: a bright 4-operator stack on algorithm 1
+     */
+    defaultOperators() {
+        return [
+            { ratio: 1, index: 1 },
+            { ratio: 2, index: 1.5 },
+            { ratio: 1, index: 1 },
+            { ratio: 3, index: 0.5 },
+            { ratio: 1, index: 1 },
+            { ratio: 1, index: 1 }
+        ].map(operator => ({
+            ...operator,
+            fixed: false,
+            frequency: 440, // Hz, used instead of the ratio when fixed
+            level: 1, // Output level as a carrier
+            attack: 0.01,
+            decay: 0.2,
+            sustain: 1,
+            release: 0.3
+        }));
+    }
+    
+    /**
+     * Rebuild the algorithm list and one card per operator in use
+     */
+    rebuildOperators() {
+        const algorithms = FM_ALGORITHMS[this.operatorCount];
+        const algorithm = algorithms[this.operatorAlgorithm] || algorithms[0];
+        
+        document.getElementById('operatorAlgorithm').innerHTML = algorithms.map((option, index) =>
+            `<option value="${index}" ${option === algorithm ? 'selected' : ''}>${index + 1}: ${option.name}</option>`
+        ).join('');
+        
+        const container = document.getElementById('operatorContainer');
+        container.innerHTML = '';
+        
+        const fields = [
+            { key: 'ratio', label: 'Ratio', min: 0.5, max: 16, step: 0.01, scale: 1, unit: '' },
+            { key: 'frequency', label: 'Fixed Freq', min: 1, max: 5000, step: 1, scale: 1, unit: ' Hz', decimals: 0 },
+            { key: 'level', label: 'Level', min: 0, max: 1, step: 0.01, scale: 1, unit: '' },
+            { key: 'index', label: 'Mod Index', min: 0, max: 10, step: 0.1, scale: 1, unit: '' },
+            ...this.envelopeStages
+        ];
+        
+        this.operators.slice(0, this.operatorCount).forEach((operator, index) => {
+            const role = algorithm.carriers.includes(index + 1) ? 'carrier' : 'modulator';
+            const card = document.createElement('div');
+            card.className = 'harmonic-control mod-card';
+            card.innerHTML = `
+                <span>Op ${index + 1} · ${role}${algorithm.feedback === index + 1 ? ' · feedback' : ''}</span>
+                <div>
+                    <label class="sync-toggle">
+                        <input type="checkbox" id="operator-${index}-fixed" ${operator.fixed ? 'checked' : ''}> Fixed frequency
+                    </label>
+                    ${fields.map(field => {
+                        const decimals = field.decimals ?? (field.scale > 1 ? 0 : 2);
+                        const hidden = (field.key === 'ratio' && operator.fixed) || (field.key === 'frequency' && !operator.fixed);
+                        return `
+                            <label style="display: ${hidden ? 'none' : 'flex'};">
+                                <div class="label-row">
+                                    <span class="label-text">${field.label}:</span>
+                                    <span class="label-value"><span id="operator-${index}-${field.key}-value">${(operator[field.key] * field.scale).toFixed(decimals)}</span>${field.unit}</span>
+                                </div>
+                                <input type="range" id="operator-${index}-${field.key}" min="${field.min}" max="${field.max}" step="${field.step}" value="${operator[field.key] * field.scale}">
+                            </label>
+                        `;
+                    }).join('')}
+                </div>
+            `;
+            container.appendChild(card);
+            
+            document.getElementById(`operator-${index}-fixed`).addEventListener('change', (e) => {
+                this.operators[index].fixed = e.target.checked;
+                document.getElementById(`operator-${index}-ratio`).closest('label').style.display = e.target.checked ? 'none' : 'flex';
+                document.getElementById(`operator-${index}-frequency`).closest('label').style.display = e.target.checked ? 'flex' : 'none';
+                this.updateWaveform();
+                this.updateAudioOperators();
+            });
             
-            // Apply amplitude modulation
-            if (this.amEnabled) {
-                const amValue = 1 + this.amDepth * Math.sin(2 * Math.PI * this.amFreq * t);
-                sample *= amValue;
+            fields.forEach(field => {
+                const valueId = `operator-${index}-${field.key}-value`;
+                this.addSliderListener(`operator-${index}-${field.key}`, (value) => {
+                    this.operators[index][field.key] = parseFloat(value) / field.scale;
+                    if (field.decimals === 0 || field.scale > 1) {
+                        document.getElementById(valueId).textContent = parseFloat(value).toFixed(0);
+                    }
+                    this.updateWaveform();
+                    this.updateAudioOperators();
+                });
+            });
+        });
+    }
+    
+    /**
+     * <option> markup for an LFO shape select
+     */
+    lfoShapeOptions(selected) {
+        return Object.entries(this.lfoShapes).map(([value, label]) =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+        ).join('');
+    }
+    
+    /**
+     * <option> markup for a tempo division select
+     */
+    tempoDivisionOptions(selected) {
+        return this.tempoDivisions.map(division =>
+            `<option value="${division.value}" ${division.value === selected ? 'selected' : ''}>${division.label}</option>`
+        ).join('');
+    }
+    
+    /**
+     * Show the AM/FM rate control in use: free rate, tempo division or (AM only) ratio of the note
+     */
+    updateLfoSyncControls() {
+        ['am', 'fm'].forEach(prefix => {
+            const ratio = prefix === 'am' && this.amRateMode === 'ratio';
+            const sync = this[`${prefix}Sync`] && !ratio;
+            document.getElementById(`${prefix}Freq`).closest('label').style.display = sync || ratio ? 'none' : '';
+            document.getElementById(`${prefix}DivisionControl`).style.display = sync ? '' : 'none';
+            document.getElementById(`${prefix}Sync`).closest('label').style.display = ratio ? 'none' : '';
+        });
+        document.getElementById('amRatioControl').style.display = this.amRateMode === 'ratio' ? '' : 'none';
+        
+        // Ring modulation reaches into audio rates; classic AM stays an LFO
+        const amFreqMax = this.amMode === 'ring' ? 5000 : 50;
+        if (this.amFreq > amFreqMax) {
+            this.amFreq = amFreqMax;
+            document.getElementById('amFreqValue').textContent = this.amFreq.toFixed(2);
+        }
+        const amFreqSlider = document.getElementById('amFreq');
+        amFreqSlider.max = amFreqMax;
+        amFreqSlider.value = this.amFreq;
+    }
+    
+    addLfo() {
+        this.lfos.push({ rate: 2, shape: 'sine', sync: false, division: 0.25 });
+        this.rebuildModMatrix();
+        this.updateAudioModulation();
+    }
+    
+    addModEnvelope() {
+        this.modEnvelopes.push({ attack: 0.5, decay: 0.5, sustain: 0, release: 0.5 });
+        this.rebuildModMatrix();
+        this.updateAudioModulation();
+    }
+    
+    addModRoute() {
+        if (this.lfos.length + this.modEnvelopes.length === 0) {
+            this.showToast('Add an LFO or envelope to route first.', 'warning');
+            return;
+        }
+        
+        this.modRoutes.push({
+            id: this.nextModRouteId++,
+            source: this.lfos.length > 0 ? 'lfo1' : 'env1',
+            destination: 'frequency',
+            harmonic: 0,
+            depth: 0
+        });
+        this.rebuildModMatrix();
+        this.updateAudioModulation();
+    }
+    
+    /**
+     * Remove an LFO or envelope; routes from it are removed and later sources renumbered
+     * @param {string} type - 'lfo' | 'env'
+     * @param {number} index - Position in this.lfos or this.modEnvelopes
+     */
+    removeModSource(type, index) {
+        const sources = type === 'lfo' ? this.lfos : this.modEnvelopes;
+        sources.splice(index, 1);
+        
+        this.modRoutes = this.modRoutes.filter(route => route.source !== `${type}${index + 1}`);
+        this.modRoutes.forEach(route => {
+            const number = parseInt(route.source.slice(type.length));
+            if (route.source.startsWith(type) && number > index + 1) {
+                route.source = `${type}${number - 1}`;
+                route.id = this.nextModRouteId++;
             }
+        });
+        
+        if (this.pwmSource === `${type}${index + 1}`) {
+            this.pwmSource = '';
+        } else if (this.pwmSource.startsWith(type) && parseInt(this.pwmSource.slice(type.length)) > index + 1) {
+            this.pwmSource = `${type}${parseInt(this.pwmSource.slice(type.length)) - 1}`;
+        }
+        
+        this.rebuildModMatrix();
+        this.updateWaveform();
+        this.updateAudioModulation();
+    }
+    
+    removeModRoute(index) {
+        this.modRoutes.splice(index, 1);
+        this.rebuildModMatrix();
+        this.updateWaveform();
+        this.updateAudioModulation();
+    }
+    
+    /**
+     * Rebuild the effect cards, in chain order
+     */
+    rebuildEffects() {
+        const container = document.getElementById('effectContainer');
+        container.innerHTML = '';
+        
+        this.effects.forEach((effect, index) => {
+            const type = this.effectTypes[effect.type];
+            const card = this.createModCard(`${index + 1} · ${type.label}`, () => this.removeEffect(index));
+            const prefix = `effect-${index}`;
+            card.querySelector('div').innerHTML = `
+                <label class="sync-toggle">
+                    <input type="checkbox" id="${prefix}-enabled" ${effect.enabled ? 'checked' : ''}> Enabled
+                </label>
+                <label>
+                    <div class="label-row">
+                        <span class="label-text">Wet/Dry:</span>
+                        <span class="label-value" id="${prefix}-mix-value">${effect.mix.toFixed(2)}</span>
+                    </div>
+                    <input type="range" id="${prefix}-mix" min="0" max="1" step="0.01" value="${effect.mix}">
+                </label>
+                ${type.fields.map(field => {
+                    const display = field.hidden && field.hidden(effect) ? 'none' : 'flex';
+                    if (field.toggle) {
+                        return `
+                            <label class="sync-toggle" style="display: ${display};">
+                                <input type="checkbox" id="${prefix}-${field.key}" ${effect[field.key] ? 'checked' : ''}> ${field.label}
+                            </label>
+                        `;
+                    }
+                    if (field.options || field.divisions) {
+                        const options = field.divisions
+                            ? this.tempoDivisionOptions(effect[field.key])
+                            : Object.entries(field.options).map(([value, label]) =>
+                                `<option value="${value}" ${value === effect[field.key] ? 'selected' : ''}>${label}</option>`
+                            ).join('');
+                        return `
+                            <label style="display: ${display};">
+                                <div class="label-row">
+                                    <span class="label-text">${field.label}:</span>
+                                </div>
+                                <select id="${prefix}-${field.key}">${options}</select>
+                            </label>
+                        `;
+                    }
+                    const decimals = field.decimals ?? (field.scale > 1 ? 0 : 2);
+                    return `
+                        <label style="display: ${display};">
+                            <div class="label-row">
+                                <span class="label-text">${field.label}:</span>
+                                <span class="label-value"><span id="${prefix}-${field.key}-value">${(effect[field.key] * field.scale).toFixed(decimals)}</span>${field.unit}</span>
+                            </div>
+                            <input type="range" id="${prefix}-${field.key}" min="${field.min}" max="${field.max}" step="${field.step}" value="${effect[field.key] * field.scale}">
+                        </label>
+                    `;
+                }).join('')}
+            `;
             
-            // Apply frequency modulation (implemented as phase modulation)
-            if (this.fmEnabled) {
-                const fmValue = this.fmDepth * Math.sin(2 * Math.PI * this.fmFreq * t);
-                const modPhase = 2 * Math.PI * (this.frequency + fmValue) * t + this.phase;
-                sample = this.amplitude * Math.sin(modPhase);
+            // Move buttons sit beside the delete button
+            [['up', '▲', index - 1], ['down', '▼', index + 1]].forEach(([direction, symbol, target]) => {
+                const button = document.createElement('button');
+                button.className = `effect-move-btn ${direction}`;
+                button.title = direction === 'up' ? 'Move earlier in the chain' : 'Move later in the chain';
+                button.textContent = symbol;
+                button.disabled = target < 0 || target >= this.effects.length;
+                button.addEventListener('click', () => this.moveEffect(index, target));
+                card.appendChild(button);
+            });
+            container.appendChild(card);
+            
+            document.getElementById(`${prefix}-enabled`).addEventListener('change', (e) => {
+                this.effects[index].enabled = e.target.checked;
+                this.updateAudioEffects();
+            });
+            
+            this.addSliderListener(`${prefix}-mix`, (value) => {
+                this.effects[index].mix = parseFloat(value);
+                this.updateAudioEffects();
+            });
+            
+            type.fields.forEach(field => {
+                const id = `${prefix}-${field.key}`;
+                if (field.toggle || field.options || field.divisions) {
+                    // These can show or hide other settings, so redraw the card list
+                    document.getElementById(id).addEventListener('change', (e) => {
+                        this.effects[index][field.key] = field.toggle ? e.target.checked
+                            : field.divisions ? parseFloat(e.target.value) : e.target.value;
+                        this.rebuildEffects();
+                        this.updateAudioEffects();
+                    });
+                    return;
+                }
                 
-                // Add harmonics with FM
-                for (const harmonic of this.harmonics) {
-                    const harmonicFreq = this.frequency * harmonic.multiplier;
-                    const harmonicPhase = this.phase + (harmonic.phase * Math.PI / 180); // Convert degrees to radians
-                    const harmonicModPhase = 2 * Math.PI * (harmonicFreq + fmValue) * t + harmonicPhase;
-                    sample += harmonic.amplitude * Math.sin(harmonicModPhase);
+                const valueId = `${id}-value`;
+                this.addSliderListener(id, (value) => {
+                    this.effects[index][field.key] = parseFloat(value) / field.scale;
+                    if (field.decimals === 0 || field.scale > 1) {
+                        document.getElementById(valueId).textContent = parseFloat(value).toFixed(0);
+                    }
+                    this.updateAudioEffects();
+                });
+            });
+        });
+    }
+    
+    /**
+     * Append an effect to the end of the chain
+     * @param {string} type - Key of EFFECT_DEFAULTS
+     */
+    addEffect(type) {
+        this.effects.push({ ...EFFECT_DEFAULTS[type], type, id: this.nextEffectId++ });
+        this.rebuildEffects();
+        this.updateAudioEffects();
+    }
+    
+    removeEffect(index) {
+        this.effects.splice(index, 1);
+        this.rebuildEffects();
+        this.updateAudioEffects();
+    }
+    
+    /**
+     * Move an effect to another position in the chain
+     */
+    moveEffect(from, to) {
+        const [effect] = this.effects.splice(from, 1);
+        this.effects.splice(to, 0, effect);
+        this.rebuildEffects();
+        this.updateAudioEffects();
+    }
+    
+    /**
+     * Rebuild the session panel's take cards from this.takes
+     */
+    rebuildTakes() {
+        const container = document.getElementById('takeContainer');
+        container.innerHTML = '';
+        document.getElementById('noTakes').style.display = this.takes.length > 0 ? 'none' : 'block';
+        
+        this.takes.forEach((take, index) => {
+            const noteCount = take.events.filter(event => event.type === 'noteOn').length;
+            const card = this.createModCard(take.name, () => this.discardTake(index));
+            card.querySelector('div').innerHTML = `
+                <div class="take-info">${take.duration.toFixed(1)} s · ${noteCount} ${noteCount === 1 ? 'note' : 'notes'}</div>
+                <div class="take-buttons">
+                    <button class="btn" data-action="replay">${this.playingTake === take ? '⏹ Stop' : '▶ Replay'}</button>
+                    <button class="btn" data-action="audio" title="Download the recording">💾 Audio</button>
+                    <button class="btn" data-action="events" title="Download the note and pinch events as JSON">💾 Events</button>
+                    <button class="btn" data-action="load-melody" title="Quantize the notes and load them as the melody guide">🎼 Load as Melody</button>
+                    <button class="btn" data-action="copy-melody" title="Quantize the notes and copy them as melody JSON">📋 Copy Melody</button>
+                </div>
+            `;
+            container.appendChild(card);
+            
+            card.querySelector('[data-action="replay"]').addEventListener('click', () => this.toggleTakePlayback(take));
+            card.querySelector('[data-action="audio"]').addEventListener('click', () => this.saveTakeAudio(take));
+            card.querySelector('[data-action="events"]').addEventListener('click', () => this.saveTakeEvents(take));
+            card.querySelector('[data-action="load-melody"]').addEventListener('click', () => this.loadTakeAsMelody(take));
+            card.querySelector('[data-action="copy-melody"]').addEventListener('click', () => this.copyTakeAsMelody(take));
+        });
+    }
+    
+    /**
+     * Replay a take's recording, or stop it if it is playing
+     */
+    toggleTakePlayback(take) {
+        const wasPlaying = this.playingTake === take;
+        if (this.takePlayer) {
+            this.takePlayer.pause();
+            this.takePlayer = null;
+            this.playingTake = null;
+        }
+        
+        if (!wasPlaying) {
+            this.takePlayer = new Audio(take.url);
+            this.playingTake = take;
+            this.takePlayer.addEventListener('ended', () => {
+                this.takePlayer = null;
+                this.playingTake = null;
+                this.rebuildTakes();
+            });
+            this.takePlayer.play().catch(error => {
+                console.error('Take playback error:', error);
+                this.showToast('Error replaying take: ' + error.message, 'error');
+            });
+        }
+        
+        this.rebuildTakes();
+    }
+    
+    saveTakeAudio(take) {
+        // 'audio/webm;codecs=opus' -> 'webm'
+        const extension = take.audio.type.split(';')[0].split('/')[1] || 'webm';
+        this.downloadFile(take.audio, `${take.name.replace(/\s+/g, '_')}.${extension}`);
+    }
+    
+    saveTakeEvents(take) {
+        const json = JSON.stringify({ name: take.name, duration: take.duration, events: take.events }, null, 2);
+        this.downloadFile(new Blob([json], { type: 'application/json' }), `${take.name.replace(/\s+/g, '_')}_events.json`);
+    }
+    
+    /**
+     * Remove a take from the session
+     */
+    discardTake(index) {
+        const [take] = this.takes.splice(index, 1);
+        if (this.playingTake === take) {
+            this.takePlayer.pause();
+            this.takePlayer = null;
+            this.playingTake = null;
+        }
+        URL.revokeObjectURL(take.url);
+        this.rebuildTakes();
+    }
+    
+    /**
+     * Sounding notes of a take, one at a time like the melody guide (a new note cuts off the last)
+     * @returns {{start: number, end: number, note: number}[]} Times in seconds from the take start, MIDI notes
+     */
+    takeNoteSpans(take) {
+        const spans = [];
+        const held = new Map(); // Voice note -> its sounding span
+        const begin = (note, pitch, time) => {
+            const span = { start: time, end: take.duration, note: pitch };
+            spans.push(span);
+            held.set(note, span);
+        };
+        const end = (note, time) => {
+            if (held.has(note)) {
+                held.get(note).end = time;
+                held.delete(note);
+            }
+        };
+        
+        take.events.forEach(event => {
+            switch (event.type) {
+                case 'noteOn':
+                    end(event.note, event.time);
+                    begin(event.note, event.note, event.time);
+                    break;
+                case 'legato':
+                    end(event.fromNote, event.time);
+                    end(event.note, event.time);
+                    begin(event.note, event.note, event.time);
+                    break;
+                case 'setFrequency': {
+                    // The play button voice keeps its note number while the hand moves its pitch
+                    const pitch = this.frequencyToMIDI(event.frequency);
+                    if (held.has(event.note) && held.get(event.note).note !== pitch) {
+                        end(event.note, event.time);
+                        begin(event.note, pitch, event.time);
+                    }
+                    break;
                 }
-            } else {
-                sample *= this.amplitude;
+                case 'noteOff':
+                    end(event.note, event.time);
+                    break;
+                case 'allNotesOff':
+                    [...held.keys()].forEach(note => end(note, event.time));
+                    break;
             }
-            
-            // Store normalized sample
-            this.waveformData[i] = Math.max(-1, Math.min(1, sample));
+        });
+        
+        spans.sort((a, b) => a.start - b.start);
+        spans.forEach((span, index) => {
+            if (index + 1 < spans.length) {
+                span.end = Math.min(span.end, spans[index + 1].start);
+            }
+        });
+        return spans.filter(span => span.end > span.start);
+    }
+    
+    /**
+     * Quantize a take's notes to a grid at the melody tempo, in the melody guide format
+     * @param {number} grid - Grid step as a fraction of a 4-beat bar
+     * @returns {Object|null} { name, tempo, notes: [[noteName, duration]] }, or null if no notes were played
+     */
+    takeToMelody(take, grid) {
+        const spans = this.takeNoteSpans(take);
+        if (spans.length === 0) {
+            return null;
+        }
+        
+        const tempo = this.melodyGuide?.tempo || 120;
+        const step = grid * 240 / tempo; // Seconds per grid step
+        // Durations in fractions of a bar, without float noise like 0.30000000000000004
+        const toDuration = (steps) => Math.round(steps * grid * 1e6) / 1e6;
+        // Spell notes like the keyboard overlay where it has the key
+        const toNoteName = (note) => this.noteNames.find(name => this.noteNameToMIDI(name) === note) ?? this.midiToNoteName(note);
+        
+        // The melody starts on the first note; later notes are pushed back rather than overlapped
+        const notes = [];
+        let position = Math.round(spans[0].start / step);
+        spans.forEach(span => {
+            const start = Math.max(position, Math.round(span.start / step));
+            const end = Math.max(start + 1, Math.round(span.end / step));
+            if (start > position) {
+                notes.push([' ', toDuration(start - position)]);
+            }
+            notes.push([toNoteName(span.note), toDuration(end - start)]);
+            position = end;
+        });
+        
+        return { name: `${take.name} melody`, tempo, notes };
+    }
+    
+    loadTakeAsMelody(take) {
+        const melody = this.takeToMelody(take, this.captureGrid);
+        if (!melody) {
+            this.showToast(`No notes were played in ${take.name}.`, 'warning');
+            return;
         }
+        this.loadMelodyFromJSON(JSON.stringify(melody));
+    }
+    
+    copyTakeAsMelody(take) {
+        const melody = this.takeToMelody(take, this.captureGrid);
+        if (!melody) {
+            this.showToast(`No notes were played in ${take.name}.`, 'warning');
+            return;
+        }
+        this.copyMelodyToClipboard(melody);
+    }
+    
+    /**
+     * Render the scope preview by running the shared synth core over the displayed time window
+     */
+    updateWaveform() {
+        const width = this.canvasDisplayWidth || parseInt(this.canvas.style.width) || this.canvas.width;
+        const totalTime = (width / 40) * (this.timeScale / 1000); // 40 pixels per division
+        const sampleRate = this.audioContext ? this.audioContext.sampleRate : this.sampleRate;
+        
+        // Oversample short windows so there is at least one sample per pixel
+        const oversample = Math.max(1, Math.ceil(width / (totalTime * sampleRate)));
+        const previewRate = sampleRate * oversample;
+        const length = Math.ceil(totalTime * previewRate) + 2;
+        
+        if (this.waveformData.length !== length) {
+            this.waveformData = new Float32Array(length);
+            this.waveformDataRight = new Float32Array(length);
+        } else {
+            this.waveformData.fill(0);
+            this.waveformDataRight.fill(0);
+        }
+        
+        // Steady voice (envelope held open), run through the same code as the speaker output.
+        // LFOs follow the clock so sweeping modulation animates; otherwise the voice starts at t = 0.
+        // Mono mode renders without panning; the other modes fill both channels.
+        const params = this.getSynthParams();
+        const stereo = this.scopeMode !== 'mono';
+        const voice = new UnisonVoice(previewRate, this.unisonCount);
+        voice.start(this.frequencyToMIDI(this.frequency), this.frequency, 1, true);
+        if (this.isModulationAnimated()) {
+            voice.seekModulation(performance.now() / 1000, params);
+        }
+        voice.render(this.waveformData, 0, length, params, stereo ? this.waveformDataRight : null);
+        
+        // Store normalized samples
+        for (let i = 0; i < length; i++) {
+            this.waveformData[i] = Math.max(-1, Math.min(1, this.waveformData[i]));
+            this.waveformDataRight[i] = Math.max(-1, Math.min(1, this.waveformDataRight[i]));
+        }
+        
+        this.waveformRate = previewRate;
+        this.waveformDuration = totalTime;
     }
     
     /**
@@ -1818,11 +3692,14 @@ class WaveformGenerator {
      * Draw the waveform on canvas with oscilloscope-style visualization
      */
     drawWaveform() {
-        const ctx = this.ctx;
         // Use stored display dimensions for drawing calculations
         const width = this.canvasDisplayWidth || parseInt(this.canvas.style.width) || this.canvas.width;
-        const height = this.canvasDisplayHeight || parseInt(this.canvas.style.height) || this.canvas.height;
-        const centerY = height * 0.6; // Shifted 20% lower from center
+        
+        // The wave editor replaces the live trace while it is open
+        if (this.drawMode) {
+            this.drawWaveEditor();
+            return;
+        }
         
         // Draw grid first
         this.drawGrid();
@@ -1833,48 +3710,62 @@ class WaveformGenerator {
         const timePerDivision = this.timeScale / 1000; // Convert ms to seconds
         const totalTime = divisionsX * timePerDivision;
         
+        // Re-render the preview when the visible time window changed
+        if (totalTime !== this.waveformDuration) {
+            this.updateWaveform();
+        }
+        
+        if (this.scopeMode === 'xy') {
+            this.drawXY('#00ff41');
+        } else if (this.scopeMode === 'stereo') {
+            // Right channel first so the left trace stays on top where they overlap
+            this.drawTrace(this.waveformDataRight, totalTime, '#00e5ff');
+            this.drawTrace(this.waveformData, totalTime, '#00ff41');
+        } else {
+            this.drawTrace(this.waveformData, totalTime, '#00ff41');
+        }
+        
+        // Overlay the amplitude envelope contour
+        if (this.showEnvelope) {
+            this.drawEnvelope();
+        }
+        
+        // Output meters once there is an audio chain to measure
+        if (this.showMeters && this.outputStage) {
+            this.drawOutputMeters();
+        }
+        
+        // Draw measurement indicators
+        this.drawMeasurements();
+    }
+    
+    /**
+     * Draw one channel of the preview as a time-based trace
+     * @param {Float32Array} data - Rendered preview samples
+     * @param {number} totalTime - Visible time window in seconds
+     * @param {string} color - Trace colour
+     */
+    drawTrace(data, totalTime, color) {
+        const ctx = this.ctx;
+        const width = this.canvasDisplayWidth || parseInt(this.canvas.style.width) || this.canvas.width;
+        const height = this.canvasDisplayHeight || parseInt(this.canvas.style.height) || this.canvas.height;
+        const centerY = height * 0.6;
+        
         // Draw waveform with smooth interpolation
-        ctx.strokeStyle = '#00ff41';
+        ctx.strokeStyle = color;
         ctx.lineWidth = 2;
-        ctx.shadowColor = '#00ff41';
+        ctx.shadowColor = color;
         ctx.shadowBlur = 3;
         
         ctx.beginPath();
         
         let firstPoint = true;
         for (let x = 0; x < width; x++) {
-            const t = (x / width) * totalTime;
-            
-            // Calculate sample value directly from time for smooth display
-            let sample = this.generateBaseWaveform(t);
-            
-            // Add harmonics
-            for (const harmonic of this.harmonics) {
-                const harmonicPhase = this.phase + (harmonic.phase * Math.PI / 180);
-                sample += harmonic.amplitude * Math.sin(2 * Math.PI * this.frequency * harmonic.multiplier * t + harmonicPhase);
-            }
-            
-            // Apply modulation if enabled
-            if (this.amEnabled) {
-                const amValue = 1 + this.amDepth * Math.sin(2 * Math.PI * this.amFreq * t);
-                sample *= amValue;
-            }
-            
-            if (this.fmEnabled) {
-                const fmValue = this.fmDepth * Math.sin(2 * Math.PI * this.fmFreq * t);
-                const modPhase = 2 * Math.PI * (this.frequency + fmValue) * t + this.phase;
-                sample = this.amplitude * Math.sin(modPhase);
-                
-                // Add harmonics with FM
-                for (const harmonic of this.harmonics) {
-                    const harmonicFreq = this.frequency * harmonic.multiplier;
-                    const harmonicPhase = this.phase + (harmonic.phase * Math.PI / 180);
-                    const harmonicModPhase = 2 * Math.PI * (harmonicFreq + fmValue) * t + harmonicPhase;
-                    sample += harmonic.amplitude * Math.sin(harmonicModPhase);
-                }
-            } else {
-                sample *= this.amplitude;
-            }
+            // Interpolate between rendered samples for smooth display
+            const position = (x / width) * totalTime * this.waveformRate;
+            const index = Math.floor(position);
+            const fraction = position - index;
+            const sample = data[index] + (data[index + 1] - data[index]) * fraction;
             
             // Scale amplitude based on amplitude scale
             const scaledSample = sample / this.ampScale;
@@ -1890,9 +3781,458 @@ class WaveformGenerator {
         
         ctx.stroke();
         ctx.shadowBlur = 0; // Reset shadow
+    }
+    
+    /**
+     * Draw the preview as an XY (Lissajous) figure: left channel across, right channel up.
+     * A mono signal is a diagonal line; stereo width opens it up.
+     */
+    drawXY(color) {
+        const ctx = this.ctx;
+        const width = this.canvasDisplayWidth || parseInt(this.canvas.style.width) || this.canvas.width;
+        const height = this.canvasDisplayHeight || parseInt(this.canvas.style.height) || this.canvas.height;
+        const centerY = height * 0.6;
+        const scale = (height * 0.4) / this.ampScale;
         
-        // Draw measurement indicators
-        this.drawMeasurements();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 3;
+        
+        ctx.beginPath();
+        for (let i = 0; i < this.waveformData.length; i++) {
+            const x = width / 2 + this.waveformData[i] * scale;
+            const y = centerY - this.waveformDataRight[i] * scale;
+            
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        
+        ctx.stroke();
+        ctx.shadowBlur = 0; // Reset shadow
+    }
+    
+    /**
+     * Draw L/R peak and RMS bars, momentary loudness and the clip indicator in the bottom right corner
+     */
+    drawOutputMeters() {
+        const ctx = this.ctx;
+        const width = this.canvasDisplayWidth || parseInt(this.canvas.style.width) || this.canvas.width;
+        const height = this.canvasDisplayHeight || parseInt(this.canvas.style.height) || this.canvas.height;
+        const meters = this.outputStage.readMeters();
+        
+        // Bars cover -60 to 0 dBFS
+        const barHeight = Math.min(120, height * 0.5);
+        const barWidth = 8;
+        const bottom = height - 24;
+        const right = width - 12;
+        const levelToHeight = (db) => Math.max(0, Math.min(1, (db + 60) / 60)) * barHeight;
+        
+        [0, 1].forEach(channel => {
+            const x = right - (2 - channel) * (barWidth + 4);
+            ctx.fillStyle = '#222222';
+            ctx.fillRect(x, bottom - barHeight, barWidth, barHeight);
+            
+            // RMS as a solid bar, peak as a line above it; amber from -6 dB, red near full scale
+            const rmsHeight = levelToHeight(meters.rms[channel]);
+            ctx.fillStyle = meters.rms[channel] > -6 ? '#ffaa00' : '#00aa2b';
+            ctx.fillRect(x, bottom - rmsHeight, barWidth, rmsHeight);
+            
+            const peakY = bottom - levelToHeight(meters.peak[channel]);
+            ctx.fillStyle = meters.peak[channel] > -1 ? '#ff3333' : '#00ff41';
+            ctx.fillRect(x, peakY - 1, barWidth, 2);
+        });
+        
+        const format = (db) => Number.isFinite(db) ? db.toFixed(1) : '-∞';
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#aaaaaa';
+        ctx.fillText(`${format(meters.lufs)} LUFS`, right - 2 * (barWidth + 4) - 6, bottom);
+        ctx.fillText(`pk ${format(Math.max(...meters.peak))} dB`, right - 2 * (barWidth + 4) - 6, bottom - 14);
+        
+        // Clip indicator, held for a moment after the last over
+        ctx.fillStyle = meters.clipping ? '#ff3333' : '#331111';
+        ctx.fillRect(right - 2 * (barWidth + 4), bottom - barHeight - 14, 2 * barWidth + 4, 10);
+        if (meters.clipping) {
+            ctx.fillStyle = '#ffffff';
+            ctx.font = '8px monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText('CLIP', right - barWidth - 6, bottom - barHeight - 6);
+        }
+        ctx.textAlign = 'left';
+    }
+    
+    /**
+     * Draw the ADSR contour across the display with a marker for the playing note
+     */
+    drawEnvelope() {
+        const ctx = this.ctx;
+        const width = this.canvasDisplayWidth || parseInt(this.canvas.style.width) || this.canvas.width;
+        const height = this.canvasDisplayHeight || parseInt(this.canvas.style.height) || this.canvas.height;
+        const centerY = height * 0.6;
+        
+        // Envelope level 0 sits at the bottom of the trace area, level 1 at the top
+        const levelToY = (level) => centerY + height * 0.4 - level * height * 0.8;
+        
+        // Show the sustain stage as a fixed share of the total envelope length
+        const attackDecay = this.envAttack + this.envDecay;
+        const hold = Math.max(0.05, 0.25 * (attackDecay + this.envRelease));
+        const totalTime = attackDecay + hold + this.envRelease;
+        const timeToX = (t) => (t / totalTime) * width;
+        
+        const points = [
+            [0, 0],
+            [this.envAttack, 1],
+            [attackDecay, this.envSustain],
+            [attackDecay + hold, this.envSustain],
+            [totalTime, 0]
+        ];
+        
+        ctx.strokeStyle = '#ff8c00';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        points.forEach(([t, level], index) => {
+            if (index === 0) {
+                ctx.moveTo(timeToX(t), levelToY(level));
+            } else {
+                ctx.lineTo(timeToX(t), levelToY(level));
+            }
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Stage labels
+        ctx.fillStyle = '#ff8c00';
+        ctx.font = '12px monospace';
+        ctx.fillText('A', timeToX(this.envAttack / 2), levelToY(1) - 6);
+        ctx.fillText('D', timeToX(this.envAttack + this.envDecay / 2), levelToY(1) - 6);
+        ctx.fillText('S', timeToX(attackDecay + hold / 2), levelToY(this.envSustain) - 6);
+        ctx.fillText('R', timeToX(attackDecay + hold + this.envRelease / 2), levelToY(1) - 6);
+        
+        // Markers for the position of every sounding voice (held or releasing)
+        this.voiceStates.forEach(voice => {
+            let markerTime;
+            if (voice.releaseAge !== null) {
+                markerTime = attackDecay + hold + Math.min(1, voice.releaseAge / voice.releaseTime) * this.envRelease;
+            } else {
+                markerTime = Math.min(voice.age, attackDecay + hold);
+            }
+            
+            ctx.beginPath();
+            ctx.arc(timeToX(markerTime), levelToY(voice.level), 5, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+    
+    /**
+     * Turn the freehand wave editor on or off.
+     * While on, the scope shows one editable cycle instead of the live trace.
+     */
+    setDrawMode(enabled) {
+        this.drawMode = enabled;
+        this.lastDrawIndex = null;
+        document.getElementById('drawWave').checked = enabled;
+        this.canvas.classList.toggle('drawing', enabled);
+        
+        if (enabled) {
+            this.loadDrawSamples();
+            this.showToast('Draw one cycle on the scope with the mouse, a finger or a pinch.', 'success');
+        }
+    }
+    
+    /**
+     * Start the editor from one cycle of the wave currently selected
+     */
+    loadDrawSamples() {
+        const length = this.drawSamples.length;
+        
+        const series = waveSeriesFor(this.waveType, this.getCurrentState());
+        if (series) {
+            const table = waveTableFromSeries(series);
+            for (let i = 0; i < length; i++) {
+                this.drawSamples[i] = table[Math.floor(i * table.length / length)];
+            }
+        } else {
+            const state = this.getCurrentState();
+            for (let i = 0; i < length; i++) {
+                this.drawSamples[i] = waveformAt(this.waveType, i / length, state);
+            }
+        }
+    }
+    
+    /**
+     * Set the drawn cycle at a point, filling in any samples skipped since the last point
+     * @param {number} position - Position within the cycle, 0 to 1
+     * @param {number} value - Sample value -1 to 1
+     */
+    drawAt(position, value) {
+        const length = this.drawSamples.length;
+        const index = Math.max(0, Math.min(length - 1, Math.floor(position * length)));
+        value = Math.max(-1, Math.min(1, value));
+        
+        if (this.lastDrawIndex === null || this.lastDrawIndex === index) {
+            this.drawSamples[index] = value;
+        } else {
+            // Interpolate so fast strokes leave no gaps
+            const fromIndex = this.lastDrawIndex;
+            const fromValue = this.drawSamples[fromIndex];
+            const step = index > fromIndex ? 1 : -1;
+            for (let i = fromIndex + step; i !== index + step; i += step) {
+                this.drawSamples[i] = fromValue + (value - fromValue) * (i - fromIndex) / (index - fromIndex);
+            }
+        }
+        
+        this.lastDrawIndex = index;
+    }
+    
+    /**
+     * Convert the drawn cycle to Fourier coefficients and play it as the custom wave
+     */
+    commitDrawnWave() {
+        this.lastDrawIndex = null;
+        
+        this.customWave = this.compactSeries(fourierSeries(this.drawSamples));
+        
+        this.waveType = 'custom';
+        document.getElementById('waveType').value = 'custom';
+        this.updateSquareWaveControls();
+        this.updateWaveform();
+        this.updateAudioWaveType();
+    }
+    
+    /**
+     * Pointer (mouse, touch and pen) drawing on the scope canvas
+     */
+    setupWaveEditor() {
+        document.getElementById('drawWave').addEventListener('change', (e) => {
+            this.setDrawMode(e.target.checked);
+        });
+        
+        // Map a pointer event to a cycle position and sample value in the editor's coordinates
+        const pointToWave = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const x = e.clientX - rect.left;
+            const y = e.clientY - rect.top;
+            return {
+                position: x / rect.width,
+                value: (rect.height * 0.6 - y) / (rect.height * 0.4)
+            };
+        };
+        
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.drawMode) {
+                return;
+            }
+            e.preventDefault();
+            this.canvas.setPointerCapture(e.pointerId);
+            this.isDrawing = true;
+            const { position, value } = pointToWave(e);
+            this.drawAt(position, value);
+        });
+        
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.drawMode || !this.isDrawing) {
+                return;
+            }
+            const { position, value } = pointToWave(e);
+            this.drawAt(position, value);
+        });
+        
+        const endStroke = () => {
+            if (this.isDrawing) {
+                this.isDrawing = false;
+                this.commitDrawnWave();
+            }
+        };
+        this.canvas.addEventListener('pointerup', endStroke);
+        this.canvas.addEventListener('pointercancel', endStroke);
+    }
+    
+    /**
+     * Draw the editable cycle across the whole scope
+     */
+    drawWaveEditor() {
+        const ctx = this.ctx;
+        const width = this.canvasDisplayWidth || parseInt(this.canvas.style.width) || this.canvas.width;
+        const height = this.canvasDisplayHeight || parseInt(this.canvas.style.height) || this.canvas.height;
+        const centerY = height * 0.6;
+        const length = this.drawSamples.length;
+        
+        this.drawGrid();
+        
+        ctx.strokeStyle = '#ff8c00';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let i = 0; i < length; i++) {
+            const x = (i + 0.5) / length * width;
+            const y = centerY - this.drawSamples[i] * (height * 0.4);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+        
+        ctx.fillStyle = '#ff8c00';
+        ctx.font = '12px monospace';
+        ctx.fillText('DRAW ONE CYCLE', 10, 20);
+    }
+    
+    /**
+     * Round Fourier coefficients to keep presets and share URLs compact
+     */
+    compactSeries(series) {
+        const round = (value) => Math.round(value * 10000) / 10000;
+        return {
+            real: series.real.map(round),
+            imag: series.imag.map(round)
+        };
+    }
+    
+    /**
+     * Import a single-cycle WAV file as a new wave type
+     * @param {File} file - WAV file holding exactly one cycle (e.g. from the AKWF library)
+     */
+    async importWaveFile(file) {
+        try {
+            // Decoding needs a context but no running audio - a tiny offline context will do
+            const decoder = new OfflineAudioContext(1, 1, 44100);
+            const audioBuffer = await decoder.decodeAudioData(await file.arrayBuffer());
+            const cycle = this.resampleCycle(audioBuffer, 1024);
+            
+            // Plain ASCII names keep the btoa() share links working
+            const name = file.name.replace(/\.[^.]+$/, '').replace(/[^\w .-]/g, '_');
+            const series = this.compactSeries(fourierSeries(cycle, IMPORTED_WAVE_HARMONICS));
+            
+            // Re-importing a file with the same name replaces it
+            this.importedWaves = this.importedWaves.filter(wave => wave.name !== name);
+            this.importedWaves.push({ name, ...series });
+            this.updateWaveTypeOptions();
+            
+            this.waveType = IMPORTED_WAVE_PREFIX + name;
+            document.getElementById('waveType').value = this.waveType;
+            this.updateSquareWaveControls();
+            this.updateWaveform();
+            this.updateAudioWaveType();
+            
+            this.showToast(`Imported "${name}" as a wave type`, 'success');
+        } catch (error) {
+            console.error('Error importing wave file:', error);
+            this.showToast(`Could not import "${file.name}". Please choose a WAV file.`, 'error');
+        }
+    }
+    
+    /**
+     * Mix a decoded file down to mono and resample the whole file to one cycle
+     * with DC removed and peak normalized
+     * @param {AudioBuffer} audioBuffer - Decoded single-cycle file
+     * @param {number} length - Samples in the resulting cycle
+     * @returns {Float32Array}
+     */
+    resampleCycle(audioBuffer, length) {
+        const source = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                source[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+        
+        // Linear interpolation, wrapping at the end because the file is one cycle
+        const cycle = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            const position = i * source.length / length;
+            const index = Math.floor(position);
+            const fraction = position - index;
+            const next = (index + 1) % source.length;
+            cycle[i] = source[index] + (source[next] - source[index]) * fraction;
+        }
+        
+        const mean = cycle.reduce((sum, value) => sum + value, 0) / length;
+        let peak = 0;
+        for (let i = 0; i < length; i++) {
+            cycle[i] -= mean;
+            peak = Math.max(peak, Math.abs(cycle[i]));
+        }
+        if (peak > 0) {
+            for (let i = 0; i < length; i++) {
+                cycle[i] /= peak;
+            }
+        }
+        
+        return cycle;
+    }
+    
+    /**
+     * Rebuild the imported entries at the end of the wave type and wavetable frame selects
+     */
+    updateWaveTypeOptions() {
+        const selected = { waveType: this.waveType, osc2WaveType: this.osc2WaveType };
+        ['waveType', 'osc2WaveType', 'wavetableFrameSource'].forEach(id => {
+            const select = document.getElementById(id);
+            const value = select.value;
+            select.querySelectorAll('option[data-imported]').forEach(option => option.remove());
+            
+            this.importedWaves.forEach(wave => {
+                const option = document.createElement('option');
+                option.value = IMPORTED_WAVE_PREFIX + wave.name;
+                option.textContent = wave.name;
+                option.dataset.imported = 'true';
+                select.appendChild(option);
+            });
+            
+            select.value = selected[id] ?? value;
+            if (!select.value) {
+                select.selectedIndex = 0;
+            }
+        });
+    }
+    
+    /**
+     * Fourier series of one cycle of a wave type, for use as a wavetable frame
+     */
+    waveFrameSeries(waveType) {
+        const state = this.getCurrentState();
+        const series = waveSeriesFor(waveType, state);
+        if (series) {
+            return { real: series.real.slice(), imag: series.imag.slice() };
+        }
+        
+        const cycle = new Float32Array(1024);
+        for (let i = 0; i < cycle.length; i++) {
+            cycle[i] = waveformAt(waveType, i / cycle.length, state);
+        }
+        return this.compactSeries(fourierSeries(cycle, IMPORTED_WAVE_HARMONICS));
+    }
+    
+    /**
+     * Append one cycle of a wave type to the wavetable
+     */
+    addWavetableFrame(waveType) {
+        this.wavetable = { frames: [...this.wavetable.frames, this.waveFrameSeries(waveType)] };
+        this.updateWavetableFrameCount();
+        this.updateWaveform();
+        this.updateAudioWavetable();
+    }
+    
+    /**
+     * Move the wavetable morph position (slider or hand height)
+     */
+    setWavetablePosition(position) {
+        this.wavetablePosition = Math.max(0, Math.min(1, position));
+        document.getElementById('wavetablePosition').value = this.wavetablePosition;
+        document.getElementById('wavetablePositionValue').textContent = this.wavetablePosition.toFixed(2);
+        this.updateWaveform();
+        this.updateAudioWavetable();
+    }
+    
+    updateWavetableFrameCount() {
+        document.getElementById('wavetableFrameCount').textContent = this.wavetable.frames.length;
     }
     
     /**
@@ -1902,11 +4242,26 @@ class WaveformGenerator {
         // All measurement displays removed for cleaner oscilloscope view
     }
     
+    /**
+     * Whether an LFO is sweeping the sound, so the scope preview has to be recomputed while it plays
+     */
+    isModulationAnimated() {
+        return this.amEnabled || this.fmEnabled || this.pwmSource !== '' ||
+            this.wavetableModSource === 'lfo' ||
+            this.modRoutes.some(route => route.source.startsWith('lfo'));
+    }
+    
     /**
      * Start continuous visualization animation
      */
     startVisualization() {
         const animate = () => {
+            const now = performance.now();
+            if (this.isModulationAnimated() && !this.drawMode && now >= this.nextScopeRender) {
+                this.updateWaveform();
+                // Sweeps look smooth at 20 fps; back off further when a render is slow (wide windows, unison)
+                this.nextScopeRender = now + Math.max(this.scopeRenderInterval, 4 * (performance.now() - now));
+            }
             this.drawWaveform();
             this.animationId = requestAnimationFrame(animate);
         };
@@ -2180,10 +4535,10 @@ class WaveformGenerator {
     }
     
     /**
-     * Toggle playback on/off
+     * Toggle playback of the manual (play button) voice on/off
      */
     async togglePlayback(force = null) {
-        if (this.isPlaying || force === 'off') {
+        if (this.manualNote !== null || force === 'off') {
             this.stopAudio();
         } else {
             await this.startAudio();
@@ -2191,9 +4546,10 @@ class WaveformGenerator {
     }
     
     /**
-     * Initialize and start continuous audio playback
+     * Create the audio context, the synth worklet and the master output shared by all voices
+     * @returns {Promise<boolean>} Whether audio is ready to play
      */
-    async startAudio() {
+    async ensureAudioContext() {
         try {
             // Initialize audio context if needed
             if (!this.audioContext) {
@@ -2204,333 +4560,252 @@ class WaveformGenerator {
                 await this.audioContext.resume();
             }
             
-            // Create master gain node for volume control
-            this.masterGainNode = this.audioContext.createGain();
-            this.masterGainNode.gain.value = this.volume;
-            this.masterGainNode.connect(this.audioContext.destination);
-            
-            // Create main oscillator
-            this.createMainOscillator();
-            
-            // Create harmonic oscillators
-            this.createHarmonicOscillators();
-            
-            // Create modulation oscillators if enabled
-            this.createModulationOscillators();
-            
-            // Connect everything
-            this.connectAudioNodes();
-            
-            // Start all oscillators
-            const now = this.audioContext.currentTime;
-            this.startAllOscillators(now);
-            
-            this.isPlaying = true;
+            // Create master gain node for volume control, followed by the effects rack and limiter
+            if (!this.masterGainNode) {
+                const chain = this.createOutputChain(this.audioContext);
+                this.masterGainNode = chain.masterGainNode;
+                this.effectsRack = chain.effectsRack;
+                this.outputStage = chain.outputStage;
+            }
             
-            // Update UI
-            document.getElementById('playStopBtn').textContent = '⏹';
-            document.getElementById('playStopBtn').classList.add('playing');
+            // Load the synth processor once; concurrent callers wait for the same load
+            if (!this.synthNodeReady) {
+                this.synthNodeReady = this.createSynthNode();
+            }
+            await this.synthNodeReady;
             
+            return true;
         } catch (error) {
             console.error('Error starting audio:', error);
             this.showToast('Error starting audio. Please check your browser\'s audio permissions.', 'error');
+            this.synthNodeReady = null;
+            return false;
         }
     }
     
     /**
-     * Stop audio playback and disconnect all nodes
+     * Master volume, effects rack and output stage set up with the current settings
+     * and connected to the context's speakers (or render buffer)
+     * @param {BaseAudioContext} context
+     * @returns {{masterGainNode: GainNode, effectsRack: EffectsRack, outputStage: OutputStage}}
      */
-    stopAudio() {
-        this.isPlaying = false;
-        
-        // Stop and disconnect main oscillator
-        if (this.mainOscillator) {
-            this.mainOscillator.stop();
-            this.mainOscillator.disconnect();
-            this.mainOscillator = null;
-        }
+    createOutputChain(context) {
+        const masterGainNode = context.createGain();
+        const effectsRack = new EffectsRack(context);
+        const outputStage = new OutputStage(context);
         
-        // Stop and disconnect harmonic oscillators
-        this.harmonicOscillators.forEach(osc => {
-            if (osc.oscillator) {
-                osc.oscillator.stop();
-                osc.oscillator.disconnect();
-            }
-            if (osc.delayNode) {
-                osc.delayNode.disconnect();
-            }
-            if (osc.gainNode) {
-                osc.gainNode.disconnect();
-            }
-        });
-        this.harmonicOscillators = [];
-        
-        // Stop and disconnect modulation oscillators
-        if (this.amOscillator) {
-            this.amOscillator.stop();
-            this.amOscillator.disconnect();
-            this.amOscillator = null;
-        }
-        
-        if (this.fmOscillator) {
-            this.fmOscillator.stop();
-            this.fmOscillator.disconnect();
-            this.fmOscillator = null;
-        }
+        masterGainNode.gain.value = this.volume;
+        masterGainNode.connect(effectsRack.input);
+        effectsRack.output.connect(outputStage.input);
+        outputStage.output.connect(context.destination);
         
-        // Disconnect gain nodes
-        if (this.gainNode) {
-            this.gainNode.disconnect();
-            this.gainNode = null;
-        }
+        effectsRack.setEffects(this.effects, this.melodyGuide?.tempo);
+        outputStage.setLimiter(this.limiterEnabled, this.limiterCeiling);
         
-        if (this.amGainNode) {
-            this.amGainNode.disconnect();
-            this.amGainNode = null;
+        return { masterGainNode, effectsRack, outputStage };
+    }
+    
+    /**
+     * Load the synth processor into a context and create a node running it
+     * @param {BaseAudioContext} context
+     * @param {Object} processorOptions - { params, schedule } for offline renders (see synthProcessor.js)
+     * @returns {Promise<AudioWorkletNode>}
+     */
+    async createSynthWorklet(context, processorOptions = {}) {
+        if (!context.audioWorklet) {
+            throw new Error('AudioWorklet is not supported in this browser');
         }
         
-        if (this.masterGainNode) {
-            this.masterGainNode.disconnect();
-            this.masterGainNode = null;
-        }
+        await context.audioWorklet.addModule(new URL('./synthProcessor.js', import.meta.url));
         
-        // Update UI
-        document.getElementById('playStopBtn').textContent = '▶';
-        document.getElementById('playStopBtn').classList.remove('playing');
+        return new AudioWorkletNode(context, 'waveform-synth', {
+            numberOfInputs: 0,
+            numberOfOutputs: 1,
+            outputChannelCount: [2], // Stereo so modulation can pan voices
+            processorOptions
+        });
     }
     
     /**
-     * Create the main oscillator with current waveform type
+     * Create the AudioWorklet node running the shared synth core
      */
-    createMainOscillator() {
-        this.mainOscillator = this.audioContext.createOscillator();
-        this.gainNode = this.audioContext.createGain();
+    async createSynthNode() {
+        this.synthNode = await this.createSynthWorklet(this.audioContext);
+        this.synthNode.port.onmessage = (event) => this.handleSynthMessage(event.data);
+        this.synthNode.connect(this.masterGainNode);
         
-        // Set frequency and amplitude
-        this.mainOscillator.frequency.value = this.frequency;
-        this.gainNode.gain.value = this.amplitude;
+        this.syncSynthParams();
         
-        // Set waveform type or create custom wave
-        this.setOscillatorWaveform(this.mainOscillator, this.waveType);
-        
-        // Connect main oscillator through gain node
-        this.mainOscillator.connect(this.gainNode);
+        // Preview at the real output sample rate from now on
+        this.updateWaveform();
     }
     
     /**
-     * Create oscillators for each harmonic
+     * Handle messages from the synth processor
      */
-    createHarmonicOscillators() {
-        this.harmonicOscillators = [];
-        
-        for (const harmonic of this.harmonics) {
-            if (harmonic.phase === 0) {
-                // Simple oscillator for zero phase
-                const oscillator = this.audioContext.createOscillator();
-                const gainNode = this.audioContext.createGain();
-                
-                oscillator.frequency.value = this.frequency * harmonic.multiplier;
-                gainNode.gain.value = harmonic.amplitude;
-                oscillator.type = 'sine';
-                
-                oscillator.connect(gainNode);
-                
-                this.harmonicOscillators.push({
-                    oscillator: oscillator,
-                    gainNode: gainNode,
-                    harmonicData: harmonic,
-                    delayNode: null
-                });
-            } else {
-                // Use delay node to create phase shift
-                const oscillator = this.audioContext.createOscillator();
-                const gainNode = this.audioContext.createGain();
-                const delayNode = this.audioContext.createDelay(1.0);
-                
-                oscillator.frequency.value = this.frequency * harmonic.multiplier;
-                gainNode.gain.value = harmonic.amplitude;
-                oscillator.type = 'sine';
-                
-                // Calculate delay time for phase shift
-                const period = 1 / (this.frequency * harmonic.multiplier);
-                const phaseDelay = (harmonic.phase / 360) * period;
-                delayNode.delayTime.value = Math.max(0, phaseDelay);
-                
-                oscillator.connect(delayNode);
-                delayNode.connect(gainNode);
-                
-                this.harmonicOscillators.push({
-                    oscillator: oscillator,
-                    gainNode: gainNode,
-                    harmonicData: harmonic,
-                    delayNode: delayNode
+    handleSynthMessage(message) {
+        switch (message.type) {
+            case 'voices':
+                this.voiceStates = message.voices;
+                break;
+            case 'stolen':
+                // Held notes whose voice was taken for a newer note
+                message.notes.forEach(note => {
+                    this.heldNotes.delete(note);
+                    if (note === this.gestureNote) {
+                        this.gestureNote = null;
+                    }
+                    if (note === this.manualNote) {
+                        this.manualNote = null;
+                        this.updatePlayButton();
+                    }
                 });
-            }
+                this.isPlaying = this.heldNotes.size > 0;
+                break;
+            default:
+                console.warn(`Unknown synth message type: ${message.type}`);
         }
     }
     
     /**
-     * Create modulation oscillators if enabled
+     * Current patch in the format read by the synth core.
+     * Like getCurrentState() but harmonics keep their ids, so the synth can tell
+     * an edited harmonic from a removed one and crossfade instead of restarting.
      */
-    createModulationOscillators() {
-        if (this.amEnabled) {
-            this.amOscillator = this.audioContext.createOscillator();
-            this.amGainNode = this.audioContext.createGain();
-            
-            this.amOscillator.frequency.value = this.amFreq;
-            this.amOscillator.type = 'sine';
-            
-            // Set up amplitude modulation depth
-            this.amGainNode.gain.value = this.amDepth;
-            this.amOscillator.connect(this.amGainNode);
-        }
-        
-        if (this.fmEnabled) {
-            this.fmOscillator = this.audioContext.createOscillator();
-            this.fmOscillator.frequency.value = this.fmFreq;
-            this.fmOscillator.type = 'sine';
-            
-            // Connect FM oscillator to main oscillator frequency
-            const fmGain = this.audioContext.createGain();
-            fmGain.gain.value = this.fmDepth;
-            this.fmOscillator.connect(fmGain);
-            fmGain.connect(this.mainOscillator.frequency);
+    getSynthParams() {
+        const params = this.getCurrentState();
+        params.harmonics = this.harmonics.map(h => ({ ...h }));
+        params.modRoutes = this.modRoutes.map(route => ({ ...route }));
+        params.tempo = this.melodyGuide?.tempo; // Tempo-synced LFOs follow the melody (set up after init)
+        return params;
+    }
+    
+    /**
+     * Send the current patch to the synth processor
+     */
+    syncSynthParams() {
+        if (this.synthNode) {
+            this.synthNode.port.postMessage({ type: 'params', params: this.getSynthParams() });
         }
     }
     
     /**
-     * Connect all audio nodes together
+     * Start the manual voice at the current fundamental frequency
      */
-    connectAudioNodes() {
-        // Connect main oscillator and harmonics to master gain
-        if (this.amEnabled && this.amGainNode) {
-            // Apply amplitude modulation
-            this.amGainNode.connect(this.gainNode.gain);
-            this.gainNode.connect(this.masterGainNode);
-        } else {
-            this.gainNode.connect(this.masterGainNode);
+    async startAudio() {
+        const note = this.frequencyToMIDI(this.frequency);
+        if (!await this.noteOn(note, this.frequency)) {
+            return;
         }
         
-        // Connect harmonic oscillators
-        this.harmonicOscillators.forEach(harmonic => {
-            if (this.amEnabled && this.amGainNode) {
-                // Apply AM to harmonics too
-                this.amGainNode.connect(harmonic.gainNode.gain);
-            }
-            harmonic.gainNode.connect(this.masterGainNode);
-        });
+        this.manualNote = note;
+        this.updatePlayButton();
     }
     
     /**
-     * Start all oscillators at the same time for phase coherence
+     * Release every held voice (all notes off)
+     * @param {boolean} immediate - Use a short declick fade instead of the release time
      */
-    startAllOscillators(startTime) {
-        this.mainOscillator.start(startTime);
-        
-        this.harmonicOscillators.forEach(harmonic => {
-            harmonic.oscillator.start(startTime);
-        });
-        
-        if (this.amOscillator) {
-            this.amOscillator.start(startTime);
+    stopAudio(immediate = false) {
+        // All notes off includes the melody, so the transport must not keep scheduling
+        if (this.transportState !== 'stopped') {
+            this.stopTransport();
         }
         
-        if (this.fmOscillator) {
-            this.fmOscillator.start(startTime);
+        if (this.synthNode) {
+            this.synthNode.port.postMessage({ type: 'allNotesOff', immediate });
+            this.performanceRecorder?.logEvent({ type: 'allNotesOff', immediate });
         }
+        
+        this.heldNotes.clear();
+        this.pendingNotes.clear();
+        this.manualNote = null;
+        this.gestureNote = null;
+        this.isPlaying = false;
+        this.updatePlayButton();
     }
     
     /**
-     * Set oscillator waveform type or create custom periodic wave
+     * Reflect the manual voice state on the play button
      */
-    setOscillatorWaveform(oscillator, waveType) {
-        if (waveType === 'custom') {
-            // Create custom periodic wave similar to the complex waveform
-            const real = new Float32Array(8);
-            const imag = new Float32Array(8);
-            
-            // Fundamental
-            real[1] = 0.8;
-            // 3rd harmonic
-            real[3] = 0.4;
-            // 5th harmonic
-            real[5] = 0.2;
-            // 7th harmonic
-            real[7] = 0.1;
-            
-            const customWave = this.audioContext.createPeriodicWave(real, imag);
-            oscillator.setPeriodicWave(customWave);
-        } else if (waveType === 'square' && this.smoothing > 0.01) {
-            // Create custom smoothed square wave for audio
-            this.createSmoothedSquareWave(oscillator);
+    updatePlayButton() {
+        const playStopBtn = document.getElementById('playStopBtn');
+        if (this.manualNote !== null) {
+            playStopBtn.textContent = '⏹';
+            playStopBtn.classList.add('playing');
         } else {
-            oscillator.type = waveType;
+            playStopBtn.textContent = '▶';
+            playStopBtn.classList.remove('playing');
         }
     }
     
     /**
-     * Create a custom periodic wave for smoothed square wave
+     * Start a voice for a MIDI note
+     * @param {number} note - MIDI note number identifying the voice
+     * @param {number} frequency - Pitch in Hz (defaults to equal temperament for the note)
+     * @param {number} velocity - Note velocity 0-1
+     * @param {boolean} glide - Glide in from the previous note's pitch (portamento)
+     * @returns {Promise<boolean>} Whether the note was started
      */
-    createSmoothedSquareWave(oscillator) {
-        const harmonics = 32; // Number of harmonics to calculate
-        const real = new Float32Array(harmonics);
-        const imag = new Float32Array(harmonics);
-        
-        // Generate waveform samples
-        const samples = 1024;
-        const waveformSamples = new Float32Array(samples);
+    async noteOn(note, frequency = this.midiToFrequency(note), velocity = 1, glide = false) {
+        // Audio may take a while to start; a release (or a newer noteOn) in the meantime cancels this one
+        const request = ++this.noteRequestCount;
+        this.pendingNotes.set(note, request);
+        const ready = await this.ensureAudioContext();
+        if (this.pendingNotes.get(note) !== request) {
+            return false;
+        }
+        this.pendingNotes.delete(note);
+        if (!ready) {
+            return false;
+        }
         
-        for (let i = 0; i < samples; i++) {
-            const t = i / samples; // 0 to 1 representing one full cycle
-            const dutyCycleRatio = this.dutyCycle / 100; // Convert percentage to ratio
-            const maxRiseTime = dutyCycleRatio * 0.5; // Max rise time is 50% of duty cycle width
-            const riseTime = Math.min(this.smoothing * 0.5, maxRiseTime); // Limit rise time
-            
-            if (t < riseTime) {
-                // Smooth rising edge
-                const riseProgress = t / riseTime;
-                const smoothedRise = 1 - Math.exp(-5 * riseProgress);
-                waveformSamples[i] = -1 + 2 * smoothedRise;
-            } else if (t < dutyCycleRatio) {
-                // High plateau - duration controlled by duty cycle
-                waveformSamples[i] = 1;
-            } else {
-                // Instant falling edge and low plateau
-                waveformSamples[i] = -1;
-            }
+        this.synthNode.port.postMessage({ type: 'noteOn', note, frequency, velocity, glide });
+        this.performanceRecorder?.logEvent({ type: 'noteOn', note, frequency, velocity, glide });
+        this.heldNotes.add(note);
+        this.isPlaying = true;
+        return true;
+    }
+    
+    /**
+     * Hand the voice of a held note to a new note, gliding without retriggering the envelope
+     */
+    legatoNote(fromNote, note, frequency = this.midiToFrequency(note)) {
+        // Before the synth is ready there is no voice to hand over yet, so start the new note instead
+        if (!this.synthNode || this.pendingNotes.has(fromNote)) {
+            this.noteOff(fromNote);
+            this.noteOn(note, frequency);
+            return;
         }
         
-        // Calculate Fourier coefficients from the samples
-        for (let h = 1; h < harmonics; h++) {
-            let realSum = 0;
-            let imagSum = 0;
-            
-            for (let n = 0; n < samples; n++) {
-                const angle = 2 * Math.PI * h * n / samples;
-                realSum += waveformSamples[n] * Math.cos(angle);
-                imagSum += waveformSamples[n] * Math.sin(angle);
-            }
-            
-            real[h] = (2 / samples) * realSum;
-            imag[h] = -(2 / samples) * imagSum;
+        this.synthNode.port.postMessage({ type: 'legato', fromNote, note, frequency });
+        this.performanceRecorder?.logEvent({ type: 'legato', fromNote, note, frequency });
+        this.heldNotes.delete(fromNote);
+        this.heldNotes.add(note);
+    }
+    
+    /**
+     * Release the voice playing a MIDI note
+     */
+    noteOff(note) {
+        this.pendingNotes.delete(note);
+        if (this.synthNode) {
+            this.synthNode.port.postMessage({ type: 'noteOff', note });
+            this.performanceRecorder?.logEvent({ type: 'noteOff', note });
         }
         
-        const customWave = this.audioContext.createPeriodicWave(real, imag);
-        oscillator.setPeriodicWave(customWave);
+        this.heldNotes.delete(note);
+        this.isPlaying = this.heldNotes.size > 0;
     }
     
     /**
-     * Update audio frequency in real-time
+     * Update audio frequency of the manual voice in real-time
+     * @param {boolean} glide - Glide to the new pitch using the portamento settings
      */
-    updateAudioFrequency() {
-        if (this.isPlaying && this.mainOscillator) {
-            this.mainOscillator.frequency.setValueAtTime(this.frequency, this.audioContext.currentTime);
-            
-            // Update harmonic frequencies
-            this.harmonicOscillators.forEach(harmonic => {
-                const newFreq = this.frequency * harmonic.harmonicData.multiplier;
-                harmonic.oscillator.frequency.setValueAtTime(newFreq, this.audioContext.currentTime);
-            });
+    updateAudioFrequency(glide = false) {
+        if (this.manualNote !== null && this.synthNode) {
+            this.synthNode.port.postMessage({ type: 'setFrequency', note: this.manualNote, frequency: this.frequency, glide });
+            this.performanceRecorder?.logEvent({ type: 'setFrequency', note: this.manualNote, frequency: this.frequency, glide });
         }
     }
     
@@ -2538,82 +4813,246 @@ class WaveformGenerator {
      * Update audio amplitude in real-time
      */
     updateAudioAmplitude() {
-        if (this.isPlaying && this.gainNode) {
-            this.gainNode.gain.setValueAtTime(this.amplitude, this.audioContext.currentTime);
-        }
+        this.syncSynthParams();
     }
     
     /**
      * Update audio volume in real-time
      */
     updateAudioVolume() {
-        if (this.isPlaying && this.masterGainNode) {
+        if (this.masterGainNode) {
             this.masterGainNode.gain.setValueAtTime(this.volume, this.audioContext.currentTime);
         }
     }
     
     /**
-     * Update waveform type in real-time (requires recreating oscillator)
+     * Update envelope settings in real-time
+     */
+    updateAudioEnvelope() {
+        this.syncSynthParams();
+    }
+    
+    /**
+     * Update waveform type in real-time
      */
     updateAudioWaveType() {
-        if (this.isPlaying) {
-            // For waveform type changes, we need to restart the audio
-            // This ensures smooth transition
-            const wasPlaying = this.isPlaying;
-            this.stopAudio();
-            if (wasPlaying) {
-                setTimeout(() => this.startAudio(), 10);
-            }
-        }
+        this.syncSynthParams();
     }
     
     /**
      * Update harmonics in real-time
      */
     updateAudioHarmonics() {
-        if (this.isPlaying) {
-            // Stop existing harmonic oscillators
-            this.harmonicOscillators.forEach(harmonic => {
-                if (harmonic.oscillator) {
-                    harmonic.oscillator.stop();
-                    harmonic.oscillator.disconnect();
-                }
-                if (harmonic.delayNode) {
-                    harmonic.delayNode.disconnect();
-                }
-                if (harmonic.gainNode) {
-                    harmonic.gainNode.disconnect();
-                }
-            });
+        this.syncSynthParams();
+    }
+    
+    /**
+     * Update modulation in real-time
+     */
+    updateAudioModulation() {
+        this.syncSynthParams();
+    }
+    
+    /**
+     * Update wavetable frames and morph settings in real-time
+     */
+    updateAudioWavetable() {
+        this.syncSynthParams();
+    }
+    
+    /**
+     * Update filter settings in real-time
+     */
+    updateAudioFilter() {
+        this.syncSynthParams();
+    }
+    
+    /**
+     * Map the 0-1 cutoff slider logarithmically onto 20 Hz - 20 kHz
+     */
+    sliderToCutoff(position) {
+        return 20 * Math.pow(1000, position);
+    }
+    
+    cutoffToSlider(frequency) {
+        return Math.log(frequency / 20) / Math.log(1000);
+    }
+    
+    /**
+     * Update portamento settings in real-time
+     */
+    updateAudioGlide() {
+        this.syncSynthParams();
+    }
+    
+    /**
+     * Update the master limiter in real-time
+     */
+    updateAudioLimiter() {
+        if (this.outputStage) {
+            this.outputStage.setLimiter(this.limiterEnabled, this.limiterCeiling);
+        }
+    }
+    
+    /**
+     * Update the effects chain in real-time
+     */
+    updateAudioEffects() {
+        if (this.effectsRack) {
+            this.effectsRack.setEffects(this.effects, this.melodyGuide?.tempo);
+        }
+    }
+    
+    /**
+     * Update second oscillator and sub-oscillator settings in real-time
+     */
+    updateAudioOsc2() {
+        this.syncSynthParams();
+    }
+    
+    /**
+     * Update noise settings in real-time
+     */
+    updateAudioNoise() {
+        this.syncSynthParams();
+    }
+    
+    /**
+     * Update FM operator settings in real-time
+     */
+    updateAudioOperators() {
+        this.syncSynthParams();
+    }
+    
+    /**
+     * Change the number of voices or stealing mode (the processor steals voices that no longer fit)
+     */
+    updateVoiceCount() {
+        this.syncSynthParams();
+    }
+    
+    /**
+     * Timed note messages playing the melody guide once at its tempo
+     * @returns {{schedule: Object[], length: number}} Schedule for the synth processor and the melody length in seconds
+     */
+    getMelodySchedule() {
+        const schedule = [];
+        let time = 0;
+        
+        this.melodyGuide.notes.forEach(([noteName, duration]) => {
+            // Durations are fractions of a 4-beat bar; rests have no note name
+            const noteLength = duration * 240 / this.melodyGuide.tempo;
+            const note = this.noteNameToMIDI(noteName);
+            if (note !== null) {
+                const frequency = this.noteNameToFrequency(noteName);
+                const glide = this.glideTime > 0 && !this.glideLegato;
+                schedule.push({ time, message: { type: 'noteOn', note, frequency, velocity: 1, glide } });
+                schedule.push({ time: time + noteLength, message: { type: 'noteOff', note } });
+            }
+            time += noteLength;
+        });
+        
+        return { schedule, length: time };
+    }
+    
+    /**
+     * Render the current patch through the effects and limiter without playing it
+     * @param {string} source - 'note' | 'melody' (see exportSource)
+     * @returns {Promise<AudioBuffer>} Stereo render at the export sample rate
+     */
+    async renderOffline(source) {
+        let schedule;
+        let length;
+        
+        if (source === 'melody') {
+            // Leave room for the last release
+            const melody = this.getMelodySchedule();
+            schedule = melody.schedule;
+            length = melody.length + this.envRelease;
+        } else {
+            // Release in time for the release stage to finish inside the render
+            const note = this.frequencyToMIDI(this.frequency);
+            schedule = [
+                { time: 0, message: { type: 'noteOn', note, frequency: this.frequency, velocity: 1, glide: false } },
+                { time: Math.max(0, this.exportDuration - this.envRelease), message: { type: 'noteOff', note } }
+            ];
+            length = this.exportDuration;
+        }
+        
+        // Let delay repeats and reverb ring out after the synth goes quiet
+        length += effectsTailTime(this.effects, this.melodyGuide?.tempo);
+        
+        const context = new OfflineAudioContext(2, Math.ceil(length * this.exportSampleRate), this.exportSampleRate);
+        const { masterGainNode } = this.createOutputChain(context);
+        const synthNode = await this.createSynthWorklet(context, { params: this.getSynthParams(), schedule });
+        synthNode.connect(masterGainNode);
+        
+        return context.startRendering();
+    }
+    
+    /**
+     * Render with the export settings and download the result as a WAV or FLAC file
+     */
+    async exportAudio() {
+        if (this.isExporting) {
+            return;
+        }
+        
+        if (typeof OfflineAudioContext === 'undefined') {
+            this.showToast('Offline rendering is not supported in this browser.', 'error');
+            return;
+        }
+        
+        if (this.exportSource === 'melody' && !this.melodyGuide?.notes?.length) {
+            this.showToast('Load a melody to render first.', 'warning');
+            return;
+        }
+        
+        const exportButton = document.getElementById('exportAudio');
+        this.isExporting = true;
+        exportButton.disabled = true;
+        exportButton.textContent = 'Rendering...';
+        
+        try {
+            const buffer = await this.renderOffline(this.exportSource);
+            const channels = [buffer.getChannelData(0), buffer.getChannelData(1)];
+            applyFades(channels, buffer.sampleRate, this.exportFadeIn, this.exportFadeOut);
             
-            // Recreate harmonic oscillators
-            this.createHarmonicOscillators();
+            const isFlac = this.exportFormat === 'flac';
+            const data = isFlac
+                ? encodeFlac(channels, buffer.sampleRate, this.exportBitDepth)
+                : encodeWav(channels, buffer.sampleRate, this.exportBitDepth);
+            const baseName = this.exportSource === 'melody' ? this.melodyGuide.name : 'waveform';
+            const fileName = `${baseName.replace(/[^\w-]+/g, '_')}.${this.exportFormat}`;
             
-            // Reconnect and start new harmonics
-            this.harmonicOscillators.forEach(harmonic => {
-                if (this.amEnabled && this.amGainNode) {
-                    this.amGainNode.connect(harmonic.gainNode.gain);
-                }
-                harmonic.gainNode.connect(this.masterGainNode);
-                harmonic.oscillator.start();
-            });
+            this.downloadFile(new Blob([data], { type: isFlac ? 'audio/flac' : 'audio/wav' }), fileName);
+            this.showToast(`Exported "${fileName}" (${buffer.duration.toFixed(1)} s)`, 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showToast('Error exporting audio: ' + error.message, 'error');
+        } finally {
+            this.isExporting = false;
+            exportButton.disabled = false;
+            exportButton.textContent = 'Render & Download';
         }
     }
     
     /**
-     * Update modulation in real-time
+     * Save a blob through a temporary download link
      */
-    updateAudioModulation() {
-        if (this.isPlaying) {
-            // For modulation changes, restart audio for clean transition
-            const wasPlaying = this.isPlaying;
-            this.stopAudio();
-            if (wasPlaying) {
-                setTimeout(() => this.startAudio(), 10);
-                         }
-         }
-     }
-     
+    downloadFile(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Revoke once the browser has started the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
      /**
       * Get current synthesizer state for saving
       */
@@ -2627,6 +5066,8 @@ class WaveformGenerator {
              volume: this.volume,
              smoothing: this.smoothing,
              dutyCycle: this.dutyCycle,
+             pwmSource: this.pwmSource,
+             pwmDepth: this.pwmDepth,
              
              // Harmonics
              harmonics: this.harmonics.map(h => ({
@@ -2635,13 +5076,110 @@ class WaveformGenerator {
                  phase: h.phase
              })),
              
+             // Drawn and imported waves (Fourier coefficients)
+             customWave: this.customWave,
+             importedWaves: this.importedWaves,
+             
+             // Wavetable
+             wavetable: this.wavetable,
+             wavetablePosition: this.wavetablePosition,
+             wavetableModSource: this.wavetableModSource,
+             wavetableModDepth: this.wavetableModDepth,
+             
+             // Second oscillator
+             osc2Enabled: this.osc2Enabled,
+             osc2WaveType: this.osc2WaveType,
+             osc2Level: this.osc2Level,
+             osc2Octave: this.osc2Octave,
+             osc2Semitones: this.osc2Semitones,
+             osc2Cents: this.osc2Cents,
+             osc2Phase: this.osc2Phase,
+             osc2DutyCycle: this.osc2DutyCycle,
+             osc2Smoothing: this.osc2Smoothing,
+             osc2Sync: this.osc2Sync,
+             
+             // Sub-oscillator
+             subEnabled: this.subEnabled,
+             subWaveType: this.subWaveType,
+             subOctave: this.subOctave,
+             subLevel: this.subLevel,
+             
+             // Noise
+             noiseEnabled: this.noiseEnabled,
+             noiseType: this.noiseType,
+             noiseLevel: this.noiseLevel,
+             noiseFiltered: this.noiseFiltered,
+             
+             // FM operators
+             operators: this.operators.map(operator => ({ ...operator })),
+             operatorCount: this.operatorCount,
+             operatorAlgorithm: this.operatorAlgorithm,
+             operatorFeedback: this.operatorFeedback,
+             
+             // Modulation matrix
+             lfos: this.lfos.map(lfo => ({ ...lfo })),
+             modEnvelopes: this.modEnvelopes.map(envelope => ({ ...envelope })),
+             modRoutes: this.modRoutes.map(route => ({
+                 source: route.source,
+                 destination: route.destination,
+                 harmonic: route.harmonic,
+                 depth: route.depth
+             })),
+             
+             // Effects (ids are only for matching rack slots)
+             effects: this.effects.map(({ id, ...effect }) => effect),
+             
+             // Output
+             limiterEnabled: this.limiterEnabled,
+             limiterCeiling: this.limiterCeiling,
+             normalizeHarmonics: this.normalizeHarmonics,
+             
+             // Filter
+             filterEnabled: this.filterEnabled,
+             filterType: this.filterType,
+             filterCutoff: this.filterCutoff,
+             filterResonance: this.filterResonance,
+             filterGain: this.filterGain,
+             filterEnvAmount: this.filterEnvAmount,
+             filterKeyTrack: this.filterKeyTrack,
+             
              // Modulation
              amEnabled: this.amEnabled,
              amFreq: this.amFreq,
              amDepth: this.amDepth,
+             amShape: this.amShape,
+             amSync: this.amSync,
+             amDivision: this.amDivision,
+             amMode: this.amMode,
+             amRateMode: this.amRateMode,
+             amRatio: this.amRatio,
              fmEnabled: this.fmEnabled,
              fmFreq: this.fmFreq,
              fmDepth: this.fmDepth,
+             fmShape: this.fmShape,
+             fmSync: this.fmSync,
+             fmDivision: this.fmDivision,
+             
+             // Envelope
+             envAttack: this.envAttack,
+             envDecay: this.envDecay,
+             envSustain: this.envSustain,
+             envRelease: this.envRelease,
+             
+             // Voices
+             voiceCount: this.voiceCount,
+             voiceStealMode: this.voiceStealMode,
+             oscQuality: this.oscQuality,
+             
+             // Unison
+             unisonCount: this.unisonCount,
+             unisonDetune: this.unisonDetune,
+             unisonWidth: this.unisonWidth,
+             
+             // Portamento
+             glideTime: this.glideTime,
+             glideCurve: this.glideCurve,
+             glideLegato: this.glideLegato,
              
              // Display
              timeScale: this.timeScale,
@@ -2671,14 +5209,118 @@ class WaveformGenerator {
          this.volume = state.volume || 0.5;
          this.smoothing = state.smoothing || 0.1;
          this.dutyCycle = state.dutyCycle || 50;
+         this.pwmSource = state.pwmSource || '';
+         this.pwmDepth = state.pwmDepth ?? 25;
+         this.customWave = state.customWave || null;
+         this.importedWaves = state.importedWaves || [];
+         this.wavetable = state.wavetable || { frames: [] };
+         this.wavetablePosition = state.wavetablePosition || 0;
+         this.wavetableModSource = state.wavetableModSource || 'none';
+         this.wavetableModDepth = state.wavetableModDepth ?? 0.5;
+         
+         // Apply second oscillator (a missing imported wave falls back to sine)
+         this.osc2Enabled = state.osc2Enabled || false;
+         this.osc2WaveType = state.osc2WaveType || 'sawtooth';
+         if (this.osc2WaveType.startsWith(IMPORTED_WAVE_PREFIX) && !waveSeriesFor(this.osc2WaveType, state)) {
+             this.osc2WaveType = 'sine';
+         }
+         this.osc2Level = state.osc2Level ?? 0.5;
+         this.osc2Octave = state.osc2Octave || 0;
+         this.osc2Semitones = state.osc2Semitones || 0;
+         this.osc2Cents = state.osc2Cents ?? 7;
+         this.osc2Phase = state.osc2Phase || 0;
+         this.osc2DutyCycle = state.osc2DutyCycle || 50;
+         this.osc2Smoothing = state.osc2Smoothing ?? 0.1;
+         this.osc2Sync = state.osc2Sync || false;
+         
+         // Apply sub-oscillator
+         this.subEnabled = state.subEnabled || false;
+         this.subWaveType = state.subWaveType || 'square';
+         this.subOctave = state.subOctave || 1;
+         this.subLevel = state.subLevel ?? 0.5;
+         
+         // Apply noise
+         this.noiseEnabled = state.noiseEnabled || false;
+         this.noiseType = state.noiseType || 'white';
+         this.noiseLevel = state.noiseLevel ?? 0.5;
+         this.noiseFiltered = state.noiseFiltered ?? true;
+         
+         // Apply FM operators
+         const defaultOperators = this.defaultOperators();
+         this.operators = defaultOperators.map((operator, index) => ({ ...operator, ...(state.operators || [])[index] }));
+         this.operatorCount = state.operatorCount === 6 ? 6 : 4;
+         this.operatorAlgorithm = state.operatorAlgorithm || 0;
+         this.operatorFeedback = state.operatorFeedback || 0;
+         
+         // An imported wave type whose table is missing falls back to sine
+         if (this.waveType.startsWith(IMPORTED_WAVE_PREFIX) && !waveSeriesFor(this.waveType, state)) {
+             this.waveType = 'sine';
+         }
+         if (this.drawMode) {
+             this.loadDrawSamples();
+         }
          
          // Apply modulation
          this.amEnabled = state.amEnabled || false;
          this.amFreq = state.amFreq || 5;
          this.amDepth = state.amDepth || 0.5;
+         this.amShape = state.amShape || 'sine';
+         this.amSync = state.amSync || false;
+         this.amDivision = state.amDivision || 0.25;
+         this.amMode = state.amMode || 'classic';
+         this.amRateMode = state.amRateMode || 'hz';
+         this.amRatio = state.amRatio || 1;
          this.fmEnabled = state.fmEnabled || false;
          this.fmFreq = state.fmFreq || 5;
          this.fmDepth = state.fmDepth || 50;
+         this.fmShape = state.fmShape || 'sine';
+         this.fmSync = state.fmSync || false;
+         this.fmDivision = state.fmDivision || 0.25;
+         
+         // Apply modulation matrix
+         this.lfos = (state.lfos || [{ rate: 2 }]).map(lfo => ({ shape: 'sine', sync: false, division: 0.25, ...lfo }));
+         this.modEnvelopes = (state.modEnvelopes || [{ attack: 0.5, decay: 0.5, sustain: 0, release: 0.5 }]).map(envelope => ({ ...envelope }));
+         this.modRoutes = (state.modRoutes || []).map(route => ({ ...route, id: this.nextModRouteId++ }));
+         
+         // Apply effects, skipping types this version does not know
+         this.effects = (state.effects || [])
+             .filter(effect => EFFECT_DEFAULTS[effect.type])
+             .map(effect => ({ ...EFFECT_DEFAULTS[effect.type], ...effect, id: this.nextEffectId++ }));
+         
+         // Apply output settings
+         this.limiterEnabled = state.limiterEnabled ?? true;
+         this.limiterCeiling = state.limiterCeiling ?? -1;
+         this.normalizeHarmonics = state.normalizeHarmonics || false;
+         
+         // Apply filter
+         this.filterEnabled = state.filterEnabled || false;
+         this.filterType = state.filterType || 'lowpass';
+         this.filterCutoff = state.filterCutoff || 2000;
+         this.filterResonance = state.filterResonance || 0.707;
+         this.filterGain = state.filterGain || 0;
+         this.filterEnvAmount = state.filterEnvAmount || 0;
+         this.filterKeyTrack = state.filterKeyTrack || 0;
+         
+         // Apply envelope (sustain may legitimately be 0)
+         this.envAttack = state.envAttack ?? 0.01;
+         this.envDecay = state.envDecay ?? 0.1;
+         this.envSustain = state.envSustain ?? 0.8;
+         this.envRelease = state.envRelease ?? 0.3;
+         
+         // Apply voice settings
+         this.voiceCount = state.voiceCount || 8;
+         this.voiceStealMode = state.voiceStealMode || 'oldest';
+         this.oscQuality = state.oscQuality || 'standard';
+         
+         // Apply unison
+         this.unisonCount = state.unisonCount || 1;
+         this.unisonDetune = state.unisonDetune ?? 20;
+         this.unisonWidth = state.unisonWidth ?? 0.5;
+         
+         // Apply portamento
+         this.glideTime = state.glideTime || 0;
+         this.glideCurve = state.glideCurve || 'exponential';
+         this.glideLegato = state.glideLegato || false;
          
          // Apply display settings
          this.timeScale = state.timeScale || 1.0;
@@ -2698,6 +5340,12 @@ class WaveformGenerator {
          this.rebuildAllHarmonics();
          
          this.updateWaveform();
+         
+         // Send the loaded patch to the running synth and output chain
+         this.syncSynthParams();
+         this.updateAudioVolume();
+         this.updateAudioEffects();
+         this.updateAudioLimiter();
      }
      
      /**
@@ -2711,7 +5359,47 @@ class WaveformGenerator {
          document.getElementById('amplitude').value = this.amplitude;
          document.getElementById('ampValue').textContent = this.amplitude.toFixed(2);
          
-         document.getElementById('waveType').value = this.waveType;
+         this.updateWaveTypeOptions();
+         
+         // Wavetable controls
+         this.updateWavetableFrameCount();
+         document.getElementById('wavetablePosition').value = this.wavetablePosition;
+         document.getElementById('wavetablePositionValue').textContent = this.wavetablePosition.toFixed(2);
+         document.getElementById('wavetableModSource').value = this.wavetableModSource;
+         document.getElementById('wavetableModDepth').value = this.wavetableModDepth;
+         document.getElementById('wavetableModDepthValue').textContent = this.wavetableModDepth.toFixed(2);
+         
+         // Second oscillator controls (wave type is set by updateWaveTypeOptions)
+         document.getElementById('enableOsc2').checked = this.osc2Enabled;
+         [
+             ['osc2Level', 2], ['osc2Octave', 0], ['osc2Semitones', 0], ['osc2Cents', 0],
+             ['osc2Phase', 0], ['osc2DutyCycle', 0], ['osc2Smoothing', 2]
+         ].forEach(([id, decimals]) => {
+             document.getElementById(id).value = this[id];
+             document.getElementById(`${id}Value`).textContent = this[id].toFixed(decimals);
+         });
+         document.getElementById('osc2Sync').checked = this.osc2Sync;
+         this.updateOsc2Controls();
+         
+         // Sub-oscillator controls
+         document.getElementById('enableSub').checked = this.subEnabled;
+         document.getElementById('subWaveType').value = this.subWaveType;
+         document.getElementById('subOctave').value = this.subOctave;
+         document.getElementById('subLevel').value = this.subLevel;
+         document.getElementById('subLevelValue').textContent = this.subLevel.toFixed(2);
+         
+         // Noise controls
+         document.getElementById('enableNoise').checked = this.noiseEnabled;
+         document.getElementById('noiseType').value = this.noiseType;
+         document.getElementById('noiseLevel').value = this.noiseLevel;
+         document.getElementById('noiseLevelValue').textContent = this.noiseLevel.toFixed(2);
+         document.getElementById('noiseFiltered').checked = this.noiseFiltered;
+         
+         // FM operator controls
+         document.getElementById('operatorCount').value = this.operatorCount;
+         document.getElementById('operatorFeedback').value = this.operatorFeedback;
+         document.getElementById('operatorFeedbackValue').textContent = this.operatorFeedback.toFixed(2);
+         this.rebuildOperators();
          
          document.getElementById('phase').value = this.phase * 180 / Math.PI;
          document.getElementById('phaseValue').textContent = (this.phase * 180 / Math.PI).toFixed(0);
@@ -2721,6 +5409,8 @@ class WaveformGenerator {
          
          document.getElementById('dutyCycle').value = this.dutyCycle;
          document.getElementById('dutyCycleValue').textContent = this.dutyCycle.toFixed(0);
+         document.getElementById('pwmDepth').value = this.pwmDepth;
+         document.getElementById('pwmDepthValue').textContent = this.pwmDepth.toFixed(0);
          
          document.getElementById('volume').value = this.volume * 100;
          
@@ -2730,12 +5420,79 @@ class WaveformGenerator {
          document.getElementById('amFreqValue').textContent = this.amFreq.toFixed(2);
          document.getElementById('amDepth').value = this.amDepth;
          document.getElementById('amDepthValue').textContent = this.amDepth.toFixed(2);
+         document.getElementById('amShape').value = this.amShape;
+         document.getElementById('amSync').checked = this.amSync;
+         document.getElementById('amDivision').value = String(this.amDivision);
+         document.getElementById('amMode').value = this.amMode;
+         document.getElementById('amRateMode').value = this.amRateMode;
+         document.getElementById('amRatio').value = this.amRatio;
+         document.getElementById('amRatioValue').textContent = this.amRatio.toFixed(2);
          
          document.getElementById('enableFM').checked = this.fmEnabled;
          document.getElementById('fmFreq').value = this.fmFreq;
          document.getElementById('fmFreqValue').textContent = this.fmFreq.toFixed(2);
          document.getElementById('fmDepth').value = this.fmDepth;
          document.getElementById('fmDepthValue').textContent = this.fmDepth.toFixed(0);
+         document.getElementById('fmShape').value = this.fmShape;
+         document.getElementById('fmSync').checked = this.fmSync;
+         document.getElementById('fmDivision').value = String(this.fmDivision);
+         this.updateLfoSyncControls();
+         
+         // Envelope controls
+         document.getElementById('envAttack').value = this.envAttack * 1000;
+         document.getElementById('envAttackValue').textContent = (this.envAttack * 1000).toFixed(0);
+         document.getElementById('envDecay').value = this.envDecay * 1000;
+         document.getElementById('envDecayValue').textContent = (this.envDecay * 1000).toFixed(0);
+         document.getElementById('envSustain').value = this.envSustain;
+         document.getElementById('envSustainValue').textContent = this.envSustain.toFixed(2);
+         document.getElementById('envRelease').value = this.envRelease * 1000;
+         document.getElementById('envReleaseValue').textContent = (this.envRelease * 1000).toFixed(0);
+         
+         // Modulation matrix controls
+         this.rebuildModMatrix();
+         
+         // Effects rack controls
+         this.rebuildEffects();
+         
+         // Output controls
+         document.getElementById('limiterEnabled').checked = this.limiterEnabled;
+         document.getElementById('limiterCeiling').value = this.limiterCeiling;
+         document.getElementById('limiterCeilingValue').textContent = this.limiterCeiling.toFixed(1);
+         document.getElementById('normalizeHarmonics').checked = this.normalizeHarmonics;
+         
+         // Filter controls
+         document.getElementById('enableFilter').checked = this.filterEnabled;
+         document.getElementById('filterType').value = this.filterType;
+         document.getElementById('filterCutoff').value = this.cutoffToSlider(this.filterCutoff);
+         document.getElementById('filterCutoffValue').textContent = this.filterCutoff.toFixed(0);
+         document.getElementById('filterResonance').value = this.filterResonance;
+         document.getElementById('filterResonanceValue').textContent = this.filterResonance.toFixed(2);
+         document.getElementById('filterGain').value = this.filterGain;
+         document.getElementById('filterGainValue').textContent = this.filterGain.toFixed(2);
+         document.getElementById('filterEnvAmount').value = this.filterEnvAmount;
+         document.getElementById('filterEnvAmountValue').textContent = this.filterEnvAmount.toFixed(2);
+         document.getElementById('filterKeyTrack').value = this.filterKeyTrack;
+         document.getElementById('filterKeyTrackValue').textContent = this.filterKeyTrack.toFixed(2);
+         
+         // Voice controls
+         document.getElementById('voiceCount').value = this.voiceCount;
+         document.getElementById('voiceCountValue').textContent = this.voiceCount;
+         document.getElementById('voiceStealMode').value = this.voiceStealMode;
+         document.getElementById('oscQuality').value = this.oscQuality;
+         
+         // Unison controls
+         document.getElementById('unisonCount').value = this.unisonCount;
+         document.getElementById('unisonCountValue').textContent = this.unisonCount;
+         document.getElementById('unisonDetune').value = this.unisonDetune;
+         document.getElementById('unisonDetuneValue').textContent = this.unisonDetune.toFixed(0);
+         document.getElementById('unisonWidth').value = this.unisonWidth;
+         document.getElementById('unisonWidthValue').textContent = this.unisonWidth.toFixed(2);
+         
+         // Portamento controls
+         document.getElementById('glideTime').value = this.glideTime * 1000;
+         document.getElementById('glideTimeValue').textContent = (this.glideTime * 1000).toFixed(0);
+         document.getElementById('glideCurve').value = this.glideCurve;
+         document.getElementById('glideLegato').checked = this.glideLegato;
          
          // Display controls
          document.getElementById('timeScale').value = this.timeScale;
@@ -2753,6 +5510,7 @@ class WaveformGenerator {
      addHarmonicFromData(harmonicData) {
          // Add to harmonics array
          this.harmonics.push({
+             id: this.nextHarmonicId++,
              multiplier: harmonicData.multiplier,
              amplitude: harmonicData.amplitude,
              phase: harmonicData.phase
@@ -2883,6 +5641,13 @@ class WaveformGenerator {
                 fmEnabled: false,
                 fmFreq: 5,
                 fmDepth: 50,
+                envAttack: 0.01,
+                envDecay: 0.1,
+                envSustain: 0.8,
+                envRelease: 0.3,
+                glideTime: 0,
+                glideCurve: 'exponential',
+                glideLegato: false,
                 timeScale: 1.0,
                 ampScale: 1.0
             };
@@ -2912,6 +5677,13 @@ class WaveformGenerator {
                  fmEnabled: false,
                  fmFreq: 5,
                  fmDepth: 50,
+                 envAttack: 0.005,
+                 envDecay: 0.05,
+                 envSustain: 1.0,
+                 envRelease: 0.05,
+                 glideTime: 0,
+                 glideCurve: 'exponential',
+                 glideLegato: false,
                  timeScale: 1.0,
                  ampScale: 1.0
              };
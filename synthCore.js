@@ -0,0 +1,1855 @@
+/**
+ * Synth Core
+ * Sample-level synthesis shared by the AudioWorklet processor (speaker output)
+ * and the oscilloscope preview, so what is drawn is exactly what is heard.
+ * Pure JavaScript - no DOM or Web Audio dependencies.
+ *
+ * Voices read their settings from a params object in the same format as
+ * WaveformGenerator.getCurrentState() (phases in degrees, times in seconds).
+ */
+
+import VoiceAllocator from './voiceAllocator.js';
+
+const TWO_PI = 2 * Math.PI;
+
+// Time constant for gliding continuous params to a new value (seconds)
+const SMOOTHING_TIME = 0.01;
+
+// Duration of the crossfade after a wave type change (seconds)
+const CROSSFADE_TIME = 0.02;
+
+// Faded harmonics below this amplitude are dropped
+const SILENCE_LEVEL = 1e-4;
+
+// Voice params that glide rather than jump when changed
+const SMOOTHED_PARAMS = [
+    'amplitude', 'normalizeGain', 'phase', 'dutyCycle', 'smoothing',
+    'amMix', 'amFreq', 'amRatio', 'amRing', 'amDepth', 'fmMix', 'fmFreq', 'fmDepth',
+    'wavetablePosition', 'wavetableModDepth',
+    'filterCutoff', 'filterResonance', 'filterGain', 'filterEnvAmount', 'filterKeyTrack',
+    'noiseLevel', 'noiseFiltered',
+    'osc2Mix', 'osc2Detune', 'osc2Phase', 'osc2DutyCycle', 'osc2Smoothing', 'subMix',
+    'unisonDetune', 'unisonWidth'
+];
+
+// The sub-oscillator square is a plain 50% square
+const SUB_SHAPE = { dutyCycle: 50, smoothing: 0 };
+
+// Harmonics fade out over this band below Nyquist (fraction of the sample rate)
+const NYQUIST_FADE = 0.05;
+
+// Filter coefficients are recomputed every this many samples
+const FILTER_CONTROL_INTERVAL = 16;
+
+// Key tracking is relative to this pitch: at A4 tracking leaves the cutoff unchanged
+const KEY_TRACK_REFERENCE = 440;
+
+/**
+ * Per-sample coefficient of a one-pole smoother with SMOOTHING_TIME
+ */
+function smoothingCoefficient(sampleRate) {
+    return 1 - Math.exp(-1 / (SMOOTHING_TIME * sampleRate));
+}
+
+/**
+ * Gain that keeps the summed oscillators under full scale when params.normalizeHarmonics is set.
+ * The main wave, second oscillator, sub-oscillator and harmonics peak at most at the sum of their levels.
+ */
+function normalizeGain(params) {
+    if (!params.normalizeHarmonics) {
+        return 1;
+    }
+
+    const harmonics = (params.harmonics || []).reduce((sum, harmonic) => sum + Math.abs(harmonic.amplitude), 0);
+    const layers = 1 + (params.osc2Enabled ? params.osc2Level ?? 0 : 0) + (params.subEnabled ? params.subLevel ?? 0 : 0);
+    return 1 / Math.max(1, params.amplitude * (layers + harmonics));
+}
+
+/**
+ * Wrap a phase in cycles into 0 to 1
+ */
+function wrapCycle(phase) {
+    return phase - Math.floor(phase);
+}
+
+/**
+ * Wrap a phase difference in degrees into -180 to 180 (shortest way round)
+ */
+function wrapDegrees(degrees) {
+    return degrees - 360 * Math.round(degrees / 360);
+}
+
+// Harmonics kept when a drawn cycle is converted to a Fourier series
+export const CUSTOM_WAVE_HARMONICS = 32;
+
+// Harmonics kept from an imported single-cycle WAV
+export const IMPORTED_WAVE_HARMONICS = 64;
+
+// Prefix of waveType values that name an imported wave (e.g. 'wave:AKWF_0001')
+export const IMPORTED_WAVE_PREFIX = 'wave:';
+
+// Samples per cycle of the lookup table built from a Fourier series
+const WAVE_TABLE_SIZE = 2048;
+
+/**
+ * Fourier series of one cycle of samples, in the layout of a PeriodicWave:
+ * real[n] are cosine and imag[n] sine coefficients of harmonic n (index 0 is DC, left at 0)
+ * @param {ArrayLike<number>} samples - One evenly sampled cycle
+ * @param {number} harmonicCount - Number of harmonics to keep
+ * @returns {{real: number[], imag: number[]}}
+ */
+export function fourierSeries(samples, harmonicCount = CUSTOM_WAVE_HARMONICS) {
+    const length = samples.length;
+    const real = [0];
+    const imag = [0];
+
+    for (let n = 1; n <= harmonicCount; n++) {
+        let cosSum = 0;
+        let sinSum = 0;
+        for (let k = 0; k < length; k++) {
+            const angle = TWO_PI * n * k / length;
+            cosSum += samples[k] * Math.cos(angle);
+            sinSum += samples[k] * Math.sin(angle);
+        }
+        real.push(2 * cosSum / length);
+        imag.push(2 * sinSum / length);
+    }
+
+    return { real, imag };
+}
+
+/**
+ * Sum a Fourier series into a single-cycle lookup table
+ * @param {{real: number[], imag: number[]}} series
+ * @returns {Float32Array}
+ */
+export function waveTableFromSeries(series) {
+    const table = new Float32Array(WAVE_TABLE_SIZE);
+
+    for (let n = 1; n < series.real.length; n++) {
+        const real = series.real[n];
+        const imag = series.imag[n];
+        if (real === 0 && imag === 0) {
+            continue;
+        }
+        for (let k = 0; k < WAVE_TABLE_SIZE; k++) {
+            const angle = TWO_PI * n * k / WAVE_TABLE_SIZE;
+            table[k] += real * Math.cos(angle) + imag * Math.sin(angle);
+        }
+    }
+
+    return table;
+}
+
+// Recent series turned into tables - params arrive as fresh copies, so compare by value
+const WAVE_TABLE_CACHE_SIZE = 8;
+const waveTableCache = []; // { series, table }, most recent first
+
+function seriesEqual(a, b) {
+    if (a.real.length !== b.real.length) {
+        return false;
+    }
+    for (let n = 0; n < a.real.length; n++) {
+        if (a.real[n] !== b.real[n] || a.imag[n] !== b.imag[n]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Fourier series behind a table-based wave type: the drawn 'custom' wave or an imported wave
+ * @returns {{real: number[], imag: number[]}|null} null for the built-in wave types
+ */
+export function waveSeriesFor(waveType, params) {
+    if (waveType === 'custom') {
+        return params.customWave || null;
+    }
+    if (waveType.startsWith(IMPORTED_WAVE_PREFIX)) {
+        const name = waveType.slice(IMPORTED_WAVE_PREFIX.length);
+        const wave = (params.importedWaves || []).find(imported => imported.name === name);
+        return wave || null;
+    }
+    return null;
+}
+
+// Series behind each table (or array of frame tables), for building band-limited copies
+const tableSeries = new WeakMap(); // table -> { series, harmonicCount }
+const bandLimitedLevels = new WeakMap(); // table -> array of copies, index k keeps harmonics up to 2^k
+
+/**
+ * Band-limited copies of a wave table, or of a wavetable's frames, one per power-of-two harmonic limit.
+ * All copies are built together the first time a table is used at 'high' quality, when params
+ * change, so the render loop only has to pick one.
+ * @returns {Array|null} null for tables without a known series
+ */
+function bandLimitedLevelsFor(table) {
+    const source = tableSeries.get(table);
+    if (!source) {
+        return null;
+    }
+
+    let levels = bandLimitedLevels.get(table);
+    if (!levels) {
+        levels = [];
+        const truncate = (series, limit) => ({ real: series.real.slice(0, limit + 1), imag: series.imag.slice(0, limit + 1) });
+        for (let limit = 1; limit < source.harmonicCount; limit *= 2) {
+            levels.push(Array.isArray(source.series)
+                ? source.series.map(frame => waveTableFromSeries(truncate(frame, limit)))
+                : waveTableFromSeries(truncate(source.series, limit)));
+        }
+        bandLimitedLevels.set(table, levels);
+    }
+    return levels;
+}
+
+/**
+ * Copy of a wave table without the harmonics that would alias at this pitch
+ * @param {Array|null} levels - The table's band-limited copies, from bandLimitedLevelsFor
+ * @param {number} increment - Phase advance per sample; harmonics above 0.5 / increment are dropped
+ */
+function bandLimitedTable(table, levels, increment) {
+    const maxHarmonic = 0.5 / increment;
+    // A series with just the fundamental has no copies: the table is already as plain as they get
+    if (!levels || levels.length === 0 || maxHarmonic >= tableSeries.get(table).harmonicCount) {
+        return table;
+    }
+    return levels[Math.max(0, Math.floor(Math.log2(maxHarmonic)))];
+}
+
+// Tables of the last wavetable's frames, compared by value like waveTableCache
+let cachedWavetable = null; // { frames, tables }
+
+/**
+ * One lookup table per frame of the wavetable in params
+ * @returns {Float32Array[]|null} null if the wavetable has no frames
+ */
+function wavetableFramesFor(params) {
+    const frames = params.wavetable ? params.wavetable.frames : [];
+    if (frames.length === 0) {
+        return null;
+    }
+
+    const unchanged = cachedWavetable &&
+        cachedWavetable.frames.length === frames.length &&
+        frames.every((frame, index) => seriesEqual(frame, cachedWavetable.frames[index]));
+    if (!unchanged) {
+        cachedWavetable = { frames, tables: frames.map(frame => waveTableFromSeries(frame)) };
+        tableSeries.set(cachedWavetable.tables, {
+            series: frames,
+            harmonicCount: Math.max(...frames.map(frame => frame.real.length - 1))
+        });
+    }
+    return cachedWavetable.tables;
+}
+
+/**
+ * Lookup table for a table-based wave type in params, or null.
+ * The 'wavetable' wave type gets an array of frame tables instead.
+ */
+function waveTableFor(waveType, params) {
+    if (waveType === 'wavetable') {
+        return wavetableFramesFor(params);
+    }
+
+    const series = waveSeriesFor(waveType, params);
+    if (!series) {
+        return null;
+    }
+
+    const index = waveTableCache.findIndex(entry => seriesEqual(entry.series, series));
+    const entry = index >= 0
+        ? waveTableCache.splice(index, 1)[0]
+        : { series, table: waveTableFromSeries(series) };
+    tableSeries.set(entry.table, { series, harmonicCount: series.real.length - 1 });
+
+    waveTableCache.unshift(entry);
+    waveTableCache.length = Math.min(waveTableCache.length, WAVE_TABLE_CACHE_SIZE);
+    return entry.table;
+}
+
+/**
+ * Read a single-cycle table with linear interpolation
+ */
+function readWaveTable(table, phase) {
+    const position = phase * table.length;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const next = index + 1 < table.length ? index + 1 : 0;
+    return table[index] + (table[next] - table[index]) * fraction;
+}
+
+/**
+ * Read a stack of frames, crossfading between the two frames either side of the morph position
+ * @param {Float32Array[]} frames - Single-cycle tables
+ * @param {number} position - Morph position 0 (first frame) to 1 (last frame)
+ * @param {number} phase - Position within the cycle, 0 to 1
+ */
+function readWavetable(frames, position, phase) {
+    const framePosition = Math.max(0, Math.min(1, position)) * (frames.length - 1);
+    const index = Math.min(Math.floor(framePosition), frames.length - 2);
+    if (index < 0) {
+        return readWaveTable(frames[0], phase);
+    }
+
+    const fraction = framePosition - index;
+    const from = readWaveTable(frames[index], phase);
+    return from + (readWaveTable(frames[index + 1], phase) - from) * fraction;
+}
+
+/**
+ * PolyBLEP residual for a downward step of 2 at phase 0 (subtract it from the naive wave)
+ * @param {number} t - Phase since the step, 0 to 1
+ * @param {number} dt - Phase advance per sample
+ */
+function polyBlep(t, dt) {
+    if (t < dt) {
+        const x = t / dt;
+        return x + x - x * x - 1;
+    }
+    if (t > 1 - dt) {
+        const x = (t - 1) / dt;
+        return x * x + x + x + 1;
+    }
+    return 0;
+}
+
+/**
+ * PolyBLAMP residual for a slope change of 2 per sample at phase 0 (the integral of polyBlep)
+ * @param {number} t - Phase since the corner, 0 to 1
+ * @param {number} dt - Phase advance per sample
+ */
+function polyBlamp(t, dt) {
+    if (t < dt) {
+        const x = t / dt - 1;
+        return -x * x * x / 3;
+    }
+    if (t > 1 - dt) {
+        const x = (t - 1) / dt + 1;
+        return x * x * x / 3;
+    }
+    return 0;
+}
+
+/**
+ * Evaluate one cycle of a base waveform
+ * @param {string} waveType - 'sine' | 'square' | 'sawtooth' | 'triangle' | 'custom' | 'wave:<name>' | 'wavetable'
+ * @param {number} phase - Position within the cycle, 0 to 1
+ * @param {Object} params - Synth params (square wave uses dutyCycle and smoothing)
+ * @param {Float32Array|Float32Array[]} waveTable - Cycle for table-based wave types,
+ *     or the frames of a wavetable (sine if not given)
+ * @param {number} position - Morph position 0-1 across wavetable frames
+ * @param {number} increment - Phase advance per sample. When given, square, sawtooth and
+ *     triangle corners are band-limited (PolyBLEP/BLAMP); 0 gives the naive shape for drawing.
+ * @returns {number} Sample value -1 to 1
+ */
+export function waveformAt(waveType, phase, params, waveTable = null, position = 0, increment = 0) {
+    if (waveTable) {
+        return Array.isArray(waveTable) ? readWavetable(waveTable, position, phase) : readWaveTable(waveTable, phase);
+    }
+
+    switch (waveType) {
+        case 'square': {
+            // Square wave with duty cycle and smoothed rising edge
+            const dutyCycleRatio = params.dutyCycle / 100; // Convert percentage to ratio
+            const maxRiseTime = dutyCycleRatio * 0.5; // Max rise time is 50% of duty cycle width
+            const riseTime = Math.min(params.smoothing * 0.5, maxRiseTime); // Limit rise time
+            const fall = increment > 0 ? polyBlep(wrapCycle(phase - dutyCycleRatio), increment) : 0;
+
+            if (increment > 0 && riseTime < increment) {
+                // A rise shorter than a sample is a step too
+                return (phase < dutyCycleRatio ? 1 : -1) + polyBlep(phase, increment) - fall;
+            } else if (phase < riseTime) {
+                // Exponential curve for a more natural rising edge
+                const riseProgress = phase / riseTime;
+                const smoothedRise = 1 - Math.exp(-5 * riseProgress);
+                return -1 + 2 * smoothedRise - fall;
+            } else if (phase < dutyCycleRatio) {
+                // High plateau - duration controlled by duty cycle
+                return 1 - fall;
+            }
+            // Instant falling edge and low plateau
+            return -1 - fall;
+        }
+        case 'sawtooth':
+            return 2 * phase - 1 - (increment > 0 ? polyBlep(phase, increment) : 0);
+        case 'triangle': {
+            const triangle = 2 * Math.abs(2 * phase - 1) - 1;
+            if (increment <= 0) {
+                return triangle;
+            }
+            // Slope turns from -4 to +4 per cycle (a change of 8 * increment per sample) at half way,
+            // and back at the start
+            return triangle + 4 * increment * (polyBlamp(wrapCycle(phase - 0.5), increment) - polyBlamp(phase, increment));
+        }
+        case 'sine':
+        default:
+            return Math.sin(TWO_PI * phase);
+    }
+}
+
+/**
+ * Linear ADSR envelope, advanced one sample at a time
+ */
+export class Envelope {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.stage = 'idle'; // 'idle' | 'attack' | 'decay' | 'sustain' | 'release' | 'steady'
+        this.level = 0;
+        this.releaseStep = 0;
+        this.releaseDuration = 0;
+        this.smoothingCoeff = smoothingCoefficient(sampleRate);
+    }
+
+    trigger() {
+        this.stage = 'attack';
+    }
+
+    /**
+     * Hold the envelope fully open (used by the scope preview)
+     */
+    hold() {
+        this.stage = 'steady';
+        this.level = 1;
+    }
+
+    /**
+     * Start the release stage from the current level
+     * @param {number} releaseTime - Release duration in seconds
+     */
+    release(releaseTime) {
+        this.stage = 'release';
+        this.releaseDuration = releaseTime;
+        this.releaseStep = this.level / Math.max(1, releaseTime * this.sampleRate);
+    }
+
+    /**
+     * Advance by one sample
+     * @returns {number} Envelope level 0-1
+     */
+    next(params) {
+        switch (this.stage) {
+            case 'attack':
+                this.level += 1 / Math.max(1, params.envAttack * this.sampleRate);
+                if (this.level >= 1) {
+                    this.level = 1;
+                    this.stage = 'decay';
+                }
+                break;
+            case 'decay':
+                this.level -= (1 - params.envSustain) / Math.max(1, params.envDecay * this.sampleRate);
+                if (this.level <= params.envSustain) {
+                    this.stage = 'sustain';
+                }
+                break;
+            case 'sustain':
+                // Glide so sustain changes while a note is held do not click
+                this.level += (params.envSustain - this.level) * this.smoothingCoeff;
+                break;
+            case 'release':
+                this.level -= this.releaseStep;
+                if (this.level <= 0) {
+                    this.level = 0;
+                    this.stage = 'idle';
+                }
+                break;
+            default:
+                break;
+        }
+        return this.level;
+    }
+
+    isActive() {
+        return this.stage !== 'idle';
+    }
+}
+
+/**
+ * Seeded xorshift32 generator, so random sources repeat exactly in the scope preview
+ * (and generated reverb tails are the same live and in exports)
+ */
+export class Random {
+    constructor(seed = 1) {
+        this.state = Math.imul(seed, 0x9e3779b1) >>> 0 || 1; // Spread small seeds over the whole range
+    }
+
+    /**
+     * @returns {number} Random value from -1 to 1
+     */
+    next() {
+        let x = this.state;
+        x ^= x << 13;
+        x ^= x >>> 17;
+        x ^= x << 5;
+        this.state = x >>> 0;
+        return this.state / 2147483648 - 1;
+    }
+}
+
+/**
+ * Effective LFO rate in Hz
+ * @param {number} rate - Free-running rate in Hz
+ * @param {boolean} sync - Lock the rate to the tempo instead
+ * @param {number} division - Cycle length as a fraction of a whole note (0.25 = one beat)
+ * @param {number} tempo - Beats (quarter notes) per minute
+ */
+export function lfoRate(rate, sync, division, tempo) {
+    if (!sync || !(division > 0) || !(tempo > 0)) {
+        return rate;
+    }
+    return tempo / (240 * division);
+}
+
+/**
+ * Low-frequency oscillator with selectable shape, advanced one sample at a time.
+ * The random shapes use a seeded generator so the scope preview repeats exactly.
+ */
+export class Lfo {
+    constructor(sampleRate, seed = 1) {
+        this.sampleRate = sampleRate;
+        this.reset(seed);
+    }
+
+    reset(seed = 1) {
+        this.seed = seed;
+        this.phase = 0;
+        this.random = new Random(seed);
+        this.held = this.random.next();   // Value of the current random step
+        this.target = this.random.next(); // Value of the next one, for smoothed random
+    }
+
+    /**
+     * Jump to a point in time (animated scope preview).
+     * Random shapes pick a new, repeatable step for every whole cycle.
+     * @param {number} cycles - Cycles elapsed since start
+     */
+    seek(cycles) {
+        const whole = Math.floor(cycles);
+        const seed = this.seed;
+        this.reset(seed + whole);
+        this.seed = seed;
+        this.phase = cycles - whole;
+    }
+
+    /**
+     * Advance by one sample
+     * @param {number} rate - Rate in Hz
+     * @param {string} shape - 'sine' | 'triangle' | 'square' | 'sawtooth' | 'rampDown' | 'sampleHold' | 'smoothRandom'
+     * @returns {number} LFO value from -1 to 1
+     */
+    next(rate, shape) {
+        const p = this.phase;
+        let value;
+        switch (shape) {
+            case 'triangle':
+                value = p < 0.25 ? 4 * p : p < 0.75 ? 2 - 4 * p : 4 * p - 4;
+                break;
+            case 'square':
+                value = p < 0.5 ? 1 : -1;
+                break;
+            case 'sawtooth':
+                value = 2 * p - 1;
+                break;
+            case 'rampDown':
+                value = 1 - 2 * p;
+                break;
+            case 'sampleHold':
+                value = this.held;
+                break;
+            case 'smoothRandom':
+                value = this.held + (this.target - this.held) * (1 - Math.cos(Math.PI * p)) / 2;
+                break;
+            case 'sine':
+            default:
+                value = Math.sin(TWO_PI * p);
+                break;
+        }
+
+        this.phase += rate / this.sampleRate;
+        if (this.phase >= 1) {
+            this.phase -= Math.floor(this.phase);
+            this.held = this.target;
+            this.target = this.random.next();
+        }
+        return value;
+    }
+}
+
+// Impulses per second in velvet noise
+const VELVET_DENSITY = 2000;
+
+/**
+ * Seeded noise source, one per voice.
+ * All colours are advanced every sample so switching type does not restart their filters.
+ */
+export class Noise {
+    constructor(sampleRate, seed = 1) {
+        this.sampleRate = sampleRate;
+        this.velvetPeriod = Math.max(1, Math.round(sampleRate / VELVET_DENSITY));
+        this.reset(seed);
+    }
+
+    reset(seed = 1) {
+        this.random = new Random(seed);
+        this.pink = [0, 0, 0, 0, 0, 0, 0];
+        this.brown = 0;
+        this.velvetCountdown = 0;
+        this.velvetImpulse = 0; // Sample within the current period that gets the impulse
+        this.velvetSign = 1;
+    }
+
+    /**
+     * Advance by one sample
+     * @param {string} type - 'white' | 'pink' | 'brown' | 'velvet'
+     * @returns {number} Noise sample, roughly -1 to 1
+     */
+    next(type) {
+        const white = this.random.next();
+
+        // Pink: Paul Kellet's filter, -3 dB per octave
+        const b = this.pink;
+        b[0] = 0.99886 * b[0] + white * 0.0555179;
+        b[1] = 0.99332 * b[1] + white * 0.0750759;
+        b[2] = 0.96900 * b[2] + white * 0.1538520;
+        b[3] = 0.86650 * b[3] + white * 0.3104856;
+        b[4] = 0.55000 * b[4] + white * 0.5329522;
+        b[5] = -0.7616 * b[5] - white * 0.0168980;
+        const pink = (b[0] + b[1] + b[2] + b[3] + b[4] + b[5] + b[6] + white * 0.5362) * 0.11;
+        b[6] = white * 0.115926;
+
+        // Brown: leaky integrator, -6 dB per octave
+        this.brown = (this.brown + 0.02 * white) / 1.02;
+
+        // Velvet: one impulse of random sign at a random point in every period
+        if (this.velvetCountdown <= 0) {
+            this.velvetCountdown = this.velvetPeriod;
+            this.velvetImpulse = Math.floor((this.random.next() + 1) / 2 * this.velvetPeriod);
+            this.velvetSign = this.random.next() < 0 ? -1 : 1;
+        }
+        this.velvetCountdown--;
+        const velvet = this.velvetCountdown === this.velvetImpulse ? this.velvetSign : 0;
+
+        switch (type) {
+            case 'pink':
+                return pink;
+            case 'brown':
+                return this.brown * 3.5;
+            case 'velvet':
+                return velvet;
+            case 'white':
+            default:
+                return white;
+        }
+    }
+}
+
+/**
+ * Resonant state-variable filter (trapezoidal SVF), one per voice.
+ * Every response type is a mix of the same three outputs, so the mix can glide
+ * when the type changes or the filter is switched off, and the cutoff can be swept without clicks.
+ */
+export class Filter {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.smoothingCoeff = smoothingCoefficient(sampleRate);
+
+        // Integrator states
+        this.ic1 = 0;
+        this.ic2 = 0;
+
+        // Coefficients for the current cutoff and resonance
+        this.a1 = 1;
+        this.a2 = 0;
+        this.a3 = 0;
+
+        // Output mix of input, band-pass and low-pass - starts as a bypass
+        this.mix = [1, 0, 0];
+        this.targetMix = [1, 0, 0];
+    }
+
+    /**
+     * Set the response
+     * @param {string|null} type - 'lowpass' | 'highpass' | 'bandpass' | 'notch' | 'peaking', or null to bypass
+     * @param {number} cutoff - Cutoff (or centre) frequency in Hz
+     * @param {number} resonance - Q
+     * @param {number} gain - Peaking gain in dB
+     * @param {boolean} immediate - Jump to the new output mix instead of gliding
+     */
+    setup(type, cutoff, resonance, gain, immediate = false) {
+        const frequency = Math.max(10, Math.min(cutoff, this.sampleRate * 0.49));
+        const g = Math.tan(Math.PI * frequency / this.sampleRate);
+        let k = 1 / Math.max(0.01, resonance);
+
+        switch (type) {
+            case 'lowpass':
+                this.targetMix = [0, 0, 1];
+                break;
+            case 'highpass':
+                this.targetMix = [1, -k, -1];
+                break;
+            case 'bandpass':
+                this.targetMix = [0, k, 0]; // 0 dB at the centre frequency
+                break;
+            case 'notch':
+                this.targetMix = [1, -k, 0];
+                break;
+            case 'peaking': {
+                const a = Math.pow(10, gain / 40);
+                k = 1 / (Math.max(0.01, resonance) * a);
+                this.targetMix = [1, k * (a * a - 1), 0];
+                break;
+            }
+            default:
+                this.targetMix = [1, 0, 0];
+                break;
+        }
+
+        this.a1 = 1 / (1 + g * (g + k));
+        this.a2 = g * this.a1;
+        this.a3 = g * this.a2;
+
+        if (immediate) {
+            this.mix = this.targetMix.slice();
+        }
+    }
+
+    /**
+     * Filter one sample
+     */
+    process(input) {
+        const mix = this.mix;
+        const targetMix = this.targetMix;
+        for (let m = 0; m < 3; m++) {
+            mix[m] += (targetMix[m] - mix[m]) * this.smoothingCoeff;
+        }
+
+        const v3 = input - this.ic2;
+        const v1 = this.a1 * this.ic1 + this.a2 * v3; // Band-pass
+        const v2 = this.ic2 + this.a2 * this.ic1 + this.a3 * v3; // Low-pass
+        this.ic1 = 2 * v1 - this.ic1;
+        this.ic2 = 2 * v2 - this.ic2;
+
+        return mix[0] * input + mix[1] * v1 + mix[2] * v2;
+    }
+}
+
+/**
+ * FM operator algorithms, DX style, for 4 and 6 operators.
+ * Operators are numbered from 1. `modulators` lists the operators feeding each operator,
+ * `carriers` the ones that are heard and `feedback` the one that modulates itself.
+ * Modulators always have higher numbers than the operators they modulate.
+ */
+export const FM_ALGORITHMS = {
+    4: [
+        { name: '4→3→2→1', modulators: { 1: [2], 2: [3], 3: [4] }, carriers: [1], feedback: 4 },
+        { name: '(3 + 4)→2→1', modulators: { 1: [2], 2: [3, 4] }, carriers: [1], feedback: 4 },
+        { name: '(4 + 3→2)→1', modulators: { 1: [2, 4], 2: [3] }, carriers: [1], feedback: 4 },
+        { name: '(2 + 4→3)→1', modulators: { 1: [2, 3], 3: [4] }, carriers: [1], feedback: 4 },
+        { name: '2→1 + 4→3', modulators: { 1: [2], 3: [4] }, carriers: [1, 3], feedback: 4 },
+        { name: '4→(1 + 2 + 3)', modulators: { 1: [4], 2: [4], 3: [4] }, carriers: [1, 2, 3], feedback: 4 },
+        { name: '1 + 2 + 4→3', modulators: { 3: [4] }, carriers: [1, 2, 3], feedback: 4 },
+        { name: '1 + 2 + 3 + 4', modulators: {}, carriers: [1, 2, 3, 4], feedback: 4 }
+    ],
+    6: [
+        { name: '6→5→4→3→2→1', modulators: { 1: [2], 2: [3], 3: [4], 4: [5], 5: [6] }, carriers: [1], feedback: 6 },
+        { name: '2→1 + 6→5→4→3', modulators: { 1: [2], 3: [4], 4: [5], 5: [6] }, carriers: [1, 3], feedback: 6 },
+        { name: '2→1 + 6→5→4→3 (feedback on 2)', modulators: { 1: [2], 3: [4], 4: [5], 5: [6] }, carriers: [1, 3], feedback: 2 },
+        { name: '2→1 + 4→3 + 6→5', modulators: { 1: [2], 3: [4], 5: [6] }, carriers: [1, 3, 5], feedback: 6 },
+        { name: '2→1 + (4 + 6→5)→3', modulators: { 1: [2], 3: [4, 5], 5: [6] }, carriers: [1, 3], feedback: 6 },
+        { name: '(2 + 4→3 + 6→5)→1', modulators: { 1: [2, 3, 5], 3: [4], 5: [6] }, carriers: [1], feedback: 6 },
+        { name: '2→1 + 6→(3 + 4 + 5)', modulators: { 1: [2], 3: [6], 4: [6], 5: [6] }, carriers: [1, 3, 4, 5], feedback: 6 },
+        { name: '1 + 2 + 3 + 4 + 6→5', modulators: { 5: [6] }, carriers: [1, 2, 3, 4, 5], feedback: 6 },
+        { name: '1 + 2 + 3 + 4 + 5 + 6', modulators: {}, carriers: [1, 2, 3, 4, 5, 6], feedback: 6 }
+    ]
+};
+
+/**
+ * Phase-modulation operators for the 'fm' wave type, one stack per voice.
+ * Each operator is a sine with its own envelope; `level` scales it as a carrier
+ * and `index` (radians of phase deviation) as a modulator.
+ */
+export class OperatorStack {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.smoothingCoeff = smoothingCoefficient(sampleRate);
+        this.steady = false;
+        this.released = false;
+
+        // One per operator in use, matched to params.operators by position
+        this.operators = [];
+        this.operatorCount = 4;
+        this.feedback = 0;
+        this.targetFeedback = 0;
+
+        // A new algorithm is switched in at the bottom of a short dip in level
+        this.algorithm = FM_ALGORITHMS[4][0];
+        this.pendingAlgorithm = null;
+        this.gain = 1;
+        this.fadeStep = 2 / (CROSSFADE_TIME * sampleRate);
+    }
+
+    /**
+     * @param {boolean} steady - Hold the operator envelopes fully open (scope preview)
+     */
+    start(steady = false) {
+        this.steady = steady;
+        this.released = false;
+        this.operators = [];
+    }
+
+    release() {
+        this.released = true;
+        this.operators.forEach(operator => {
+            operator.envelope.release(operator.envelopeParams.envRelease);
+        });
+    }
+
+    retarget(params, initial) {
+        const count = params.operatorCount === 6 ? 6 : 4;
+        const algorithms = FM_ALGORITHMS[count];
+        const algorithm = algorithms[params.operatorAlgorithm] || algorithms[0];
+        this.operatorCount = count;
+        this.targetFeedback = params.operatorFeedback ?? 0;
+        if (initial) {
+            this.feedback = this.targetFeedback;
+            this.algorithm = algorithm;
+            this.pendingAlgorithm = null;
+            this.gain = 1;
+        } else {
+            this.pendingAlgorithm = algorithm === this.algorithm ? null : algorithm;
+        }
+
+        while (this.operators.length < count) {
+            const envelope = new Envelope(this.sampleRate);
+            if (this.steady) {
+                envelope.hold();
+            } else if (this.released) {
+                envelope.stage = 'idle';
+            } else {
+                envelope.trigger();
+            }
+            this.operators.push({ envelope, phase: 0, output: 0, previous: 0, current: null });
+        }
+        // Extra operators are dropped once the algorithm using them is switched out
+        if (this.pendingAlgorithm === null) {
+            this.operators.length = count;
+        }
+
+        const settings = params.operators || [];
+        this.operators.forEach((operator, index) => {
+            const setting = settings[index] || {};
+            // Envelopes read their times through the same field names as the amplitude envelope
+            operator.envelopeParams = {
+                envAttack: setting.attack ?? 0.01,
+                envDecay: setting.decay ?? 0.2,
+                envSustain: setting.sustain ?? 1,
+                envRelease: setting.release ?? 0.3
+            };
+            operator.fixed = Boolean(setting.fixed);
+            operator.target = {
+                ratio: setting.ratio ?? 1,
+                frequency: setting.frequency ?? 440,
+                level: setting.level ?? 0,
+                index: setting.index ?? 0
+            };
+            if (operator.current === null) {
+                operator.current = { ...operator.target };
+            }
+        });
+    }
+
+    /**
+     * Advance by one sample
+     * @param {number} frequency - Voice pitch in Hz (ratio operators follow it)
+     * @returns {number} Sum of the carriers, divided by their count
+     */
+    next(frequency) {
+        if (this.pendingAlgorithm) {
+            this.gain -= this.fadeStep;
+            if (this.gain <= 0) {
+                this.gain = 0;
+                this.algorithm = this.pendingAlgorithm;
+                this.pendingAlgorithm = null;
+                this.operators.length = this.operatorCount;
+            }
+        } else if (this.gain < 1) {
+            this.gain = Math.min(1, this.gain + this.fadeStep);
+        }
+
+        const coeff = this.smoothingCoeff;
+        const operators = this.operators;
+        const { modulators, carriers, feedback } = this.algorithm;
+        this.feedback += (this.targetFeedback - this.feedback) * coeff;
+
+        // Highest operators first, so every modulator is ready before its target
+        for (let o = operators.length - 1; o >= 0; o--) {
+            const operator = operators[o];
+            const current = operator.current;
+            const target = operator.target;
+            current.ratio += (target.ratio - current.ratio) * coeff;
+            current.frequency += (target.frequency - current.frequency) * coeff;
+            current.level += (target.level - current.level) * coeff;
+            current.index += (target.index - current.index) * coeff;
+
+            // Phase modulation input in radians
+            let input = 0;
+            const sources = modulators[o + 1];
+            if (sources) {
+                for (let s = 0; s < sources.length; s++) {
+                    const source = operators[sources[s] - 1];
+                    input += source.output * source.current.index;
+                }
+            }
+            if (o + 1 === feedback) {
+                // Average of the last two outputs keeps high feedback from oscillating
+                input += this.feedback * Math.PI * (operator.output + operator.previous) / 2;
+            }
+
+            operator.previous = operator.output;
+            operator.output = operator.envelope.next(operator.envelopeParams) * Math.sin(TWO_PI * operator.phase + input);
+
+            operator.phase += (operator.fixed ? current.frequency : frequency * current.ratio) / this.sampleRate;
+            operator.phase -= Math.floor(operator.phase);
+        }
+
+        let sample = 0;
+        for (let c = 0; c < carriers.length; c++) {
+            const carrier = operators[carriers[c] - 1];
+            sample += carrier.output * carrier.current.level;
+        }
+        return sample / carriers.length * this.gain;
+    }
+}
+
+/**
+ * Modulation matrix of one voice: LFOs and envelopes routed to voice params.
+ * Route depths are in the units of their destination:
+ * frequency in semitones, amplitude as a fraction of the level, duty cycle in percent,
+ * smoothing 0-1, harmonic amplitude 0-1, harmonic phase in degrees,
+ * filter cutoff in octaves and pan from -1 (left) to 1 (right).
+ */
+export class ModMatrix {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.smoothingCoeff = smoothingCoefficient(sampleRate);
+        this.steady = false;
+        this.released = false;
+
+        // One Lfo per params.lfos entry and one Envelope per params.modEnvelopes entry
+        this.lfos = [];
+        this.lfoRates = [];
+        this.lfoValues = [];
+        this.envelopes = [];
+        this.envelopeParams = [];
+        this.envelopeValues = [];
+
+        // Routes being applied, matched to params.modRoutes by id
+        this.routes = [];
+
+        // Summed modulation per destination for the current sample
+        this.values = {
+            frequency: 0,
+            amplitude: 0,
+            dutyCycle: 0,
+            smoothing: 0,
+            filterCutoff: 0,
+            pan: 0
+        };
+    }
+
+    /**
+     * @param {boolean} steady - Hold envelopes fully open (scope preview)
+     */
+    start(steady = false) {
+        this.steady = steady;
+        this.released = false;
+        this.lfos = [];
+        this.envelopes = [];
+        this.routes = [];
+    }
+
+    release() {
+        this.released = true;
+        this.envelopes.forEach((envelope, index) => {
+            envelope.release(this.envelopeParams[index].envRelease);
+        });
+    }
+
+    /**
+     * Take new params; routes to harmonics are resolved against the voice's partials
+     * @param {Object[]} partials - Harmonics being rendered by the voice, with ids
+     */
+    retarget(params, partials, initial) {
+        const lfos = params.lfos || [];
+        while (this.lfos.length < lfos.length) {
+            this.lfos.push(new Lfo(this.sampleRate, this.lfos.length + 1));
+        }
+        this.lfos.length = lfos.length;
+        this.lfoRates = lfos.map(lfo => lfoRate(lfo.rate, lfo.sync, lfo.division, params.tempo));
+        this.lfoValues = new Array(lfos.length).fill(0);
+
+        // Envelopes read their times through the same field names as the amplitude envelope
+        const modEnvelopes = params.modEnvelopes || [];
+        this.envelopeParams = modEnvelopes.map(envelope => ({
+            envAttack: envelope.attack,
+            envDecay: envelope.decay,
+            envSustain: envelope.sustain,
+            envRelease: envelope.release
+        }));
+        while (this.envelopes.length < modEnvelopes.length) {
+            const envelope = new Envelope(this.sampleRate);
+            if (this.steady) {
+                envelope.hold();
+            } else if (this.released) {
+                envelope.stage = 'idle';
+            } else {
+                envelope.trigger();
+            }
+            this.envelopes.push(envelope);
+        }
+        this.envelopes.length = modEnvelopes.length;
+        this.envelopeValues = new Array(modEnvelopes.length).fill(0);
+
+        // The pulse-width shortcut is one more route to the duty cycle
+        const modRoutes = params.modRoutes || [];
+        const pwmRoute = params.pwmSource
+            ? [{ id: 'pwm', source: params.pwmSource, destination: 'dutyCycle', depth: params.pwmDepth ?? 0 }]
+            : [];
+
+        // Removed routes fade out; new ones fade in
+        this.routes.forEach(route => {
+            route.targetDepth = null;
+        });
+        modRoutes.concat(pwmRoute).forEach((modRoute, index) => {
+            const id = modRoute.id ?? index;
+            let route = this.routes.find(r => r.id === id);
+            if (!route) {
+                route = { id, depth: initial ? modRoute.depth : 0 };
+                this.routes.push(route);
+            }
+
+            const match = /^(lfo|env)(\d+)$/.exec(modRoute.source) || [];
+            route.sourceType = match[1] || null;
+            route.sourceIndex = parseInt(match[2], 10) - 1;
+            route.destination = modRoute.destination;
+            route.targetDepth = modRoute.depth;
+
+            // Harmonic routes name the harmonic by its position in params.harmonics
+            const harmonic = params.harmonics[modRoute.harmonic || 0];
+            route.partial = harmonic ? partials.find(partial => partial.id === (harmonic.id ?? modRoute.harmonic)) || null : null;
+        });
+    }
+
+    /**
+     * Move the LFOs to a point in time (animated scope preview)
+     * @param {number} seconds - Time since the note started
+     */
+    seek(seconds) {
+        this.lfos.forEach((lfo, index) => lfo.seek(this.lfoRates[index] * seconds));
+    }
+
+    /**
+     * Advance by one sample and sum every route into this.values and the partials' mod fields
+     * @param {Object} params - Synth params
+     * @param {Object[]} partials - Harmonics being rendered by the voice
+     */
+    next(params, partials) {
+        const values = this.values;
+        values.frequency = 0;
+        values.amplitude = 0;
+        values.dutyCycle = 0;
+        values.smoothing = 0;
+        values.filterCutoff = 0;
+        values.pan = 0;
+        for (let h = 0; h < partials.length; h++) {
+            partials[h].modAmplitude = 0;
+            partials[h].modPhase = 0;
+        }
+
+        // Sources: bipolar LFOs and unipolar envelopes
+        const lfos = params.lfos || [];
+        for (let l = 0; l < this.lfos.length; l++) {
+            this.lfoValues[l] = this.lfos[l].next(this.lfoRates[l], lfos[l].shape);
+        }
+        for (let e = 0; e < this.envelopes.length; e++) {
+            this.envelopeValues[e] = this.envelopes[e].next(this.envelopeParams[e]);
+        }
+
+        let faded = false;
+        for (let r = 0; r < this.routes.length; r++) {
+            const route = this.routes[r];
+            const targetDepth = route.targetDepth ?? 0;
+            route.depth += (targetDepth - route.depth) * this.smoothingCoeff;
+            if (route.targetDepth === null && Math.abs(route.depth) < SILENCE_LEVEL) {
+                faded = true;
+            }
+
+            const sources = route.sourceType === 'lfo' ? this.lfoValues : this.envelopeValues;
+            const source = sources[route.sourceIndex];
+            if (source === undefined) {
+                continue;
+            }
+            const amount = route.depth * source;
+
+            switch (route.destination) {
+                case 'harmonicAmplitude':
+                    if (route.partial) {
+                        route.partial.modAmplitude += amount;
+                    }
+                    break;
+                case 'harmonicPhase':
+                    if (route.partial) {
+                        route.partial.modPhase += amount;
+                    }
+                    break;
+                default:
+                    if (route.destination in values) {
+                        values[route.destination] += amount;
+                    }
+                    break;
+            }
+        }
+
+        if (faded) {
+            this.routes = this.routes.filter(route => route.targetDepth !== null || Math.abs(route.depth) >= SILENCE_LEVEL);
+        }
+
+        return values;
+    }
+}
+
+/**
+ * Wave type of one oscillator, crossfading to a new wave type or drawn cycle when it changes
+ */
+class WaveSource {
+    constructor(sampleRate) {
+        this.crossfadeStep = 1 / (CROSSFADE_TIME * sampleRate);
+        this.waveType = 'sine';
+        this.previousWaveType = 'sine';
+        this.waveTable = null; // Cycle of a drawn or imported wave type
+        this.previousWaveTable = null;
+        this.mix = 1; // 0 = previous wave type, 1 = current wave type
+        this.bandLimitTables = false; // Drop table harmonics above Nyquist ('high' quality)
+        this.levels = null; // Band-limited copies of waveTable while bandLimitTables is on
+        this.previousLevels = null;
+        this.blockTable = null; // Tables picked for the current render block, or undefined until picked
+        this.blockPreviousTable = null;
+    }
+
+    /**
+     * Turn band-limiting of the tables on or off, building their band-limited copies if needed
+     */
+    setBandLimit(bandLimitTables) {
+        this.bandLimitTables = bandLimitTables;
+        this.levels = bandLimitTables && this.waveTable ? bandLimitedLevelsFor(this.waveTable) : null;
+        this.previousLevels = bandLimitTables && this.previousWaveTable ? bandLimitedLevelsFor(this.previousWaveTable) : null;
+        this.beginBlock();
+    }
+
+    /**
+     * Start a render block: the tables are picked again at the pitch of its first sample
+     */
+    beginBlock() {
+        this.blockTable = undefined;
+    }
+
+    /**
+     * @param {boolean} immediate - Switch without a crossfade (first params of a note)
+     */
+    set(waveType, waveTable, immediate) {
+        if (immediate) {
+            this.waveType = waveType;
+            this.waveTable = waveTable;
+            this.mix = 1;
+        } else if (waveType !== this.waveType || waveTable !== this.waveTable) {
+            // Crossfade from whatever is currently heard
+            if (this.mix >= 0.5) {
+                this.previousWaveType = this.waveType;
+                this.previousWaveTable = this.waveTable;
+            }
+            this.waveType = waveType;
+            this.waveTable = waveTable;
+            this.mix = 0;
+        }
+    }
+
+    /**
+     * Whether a wave type is heard, including while crossfading away from it
+     */
+    uses(waveType) {
+        return this.waveType === waveType || (this.mix < 1 && this.previousWaveType === waveType);
+    }
+
+    /**
+     * Pick the tables to read for the rest of the block
+     */
+    pickTables(increment) {
+        const bandLimit = this.bandLimitTables && increment > 0;
+        this.blockTable = this.waveTable && bandLimit ? bandLimitedTable(this.waveTable, this.levels, increment) : this.waveTable;
+        this.blockPreviousTable = this.previousWaveTable && bandLimit
+            ? bandLimitedTable(this.previousWaveTable, this.previousLevels, increment)
+            : this.previousWaveTable;
+    }
+
+    /**
+     * Evaluate the wave and advance the crossfade by one sample
+     * @param {Object} shape - Square wave dutyCycle and smoothing
+     * @param {number} position - Wavetable morph position
+     * @param {number} operatorSample - Output of the FM operators, heard as the 'fm' wave type
+     * @param {number} increment - Phase advance per sample for band-limiting, or 0 for naive shapes
+     */
+    next(phase, shape, position, operatorSample, increment = 0) {
+        if (this.blockTable === undefined) {
+            this.pickTables(increment);
+        }
+        let sample = this.waveType === 'fm'
+            ? operatorSample
+            : waveformAt(this.waveType, phase, shape, this.blockTable, position, increment);
+        if (this.mix < 1) {
+            const previous = this.previousWaveType === 'fm'
+                ? operatorSample
+                : waveformAt(this.previousWaveType, phase, shape, this.blockPreviousTable, position, increment);
+            sample = previous + (sample - previous) * this.mix;
+            this.mix = Math.min(1, this.mix + this.crossfadeStep);
+        }
+        return sample;
+    }
+}
+
+/**
+ * A single synth voice: fundamental, harmonics, AM/FM modulators and envelope
+ *
+ * Param changes never restart the voice: continuous values glide towards their
+ * new targets, the wave type crossfades, and harmonics fade in and out.
+ */
+export class SynthVoice {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.envelope = new Envelope(sampleRate);
+        this.filter = new Filter(sampleRate);
+        this.filterCountdown = 0; // Samples until the filter coefficients are recomputed
+        this.modMatrix = new ModMatrix(sampleRate);
+        this.operatorStack = new OperatorStack(sampleRate); // Used by the 'fm' wave type
+        this.shape = { dutyCycle: 50, smoothing: 0 }; // Square wave shape after modulation
+        this.smoothingCoeff = smoothingCoefficient(sampleRate);
+
+        this.note = null;
+        this.frequency = 440;
+        this.velocity = 1;
+
+        // Portamento from glideFrom to targetFrequency over glideLength samples
+        this.targetFrequency = 440;
+        this.glideFrom = 440;
+        this.glideLength = 0;
+        this.glidePosition = 0;
+        this.glideCurve = 'exponential';
+
+        // Phase accumulator in cycles (0 to 1)
+        this.phase = 0;
+
+        // Second oscillator, detuned from the main one and optionally hard-synced to it
+        this.osc2Wave = new WaveSource(sampleRate);
+        this.osc2Operators = new OperatorStack(sampleRate);
+        this.osc2Shape = { dutyCycle: 50, smoothing: 0 };
+        this.osc2PhaseAcc = 0;
+
+        // Sub-oscillator, locked to the main oscillator by counting its cycles
+        this.subCycles = 0;
+
+        // AM and FM modulators
+        this.amLfo = new Lfo(sampleRate);
+        this.fmLfo = new Lfo(sampleRate);
+        this.noise = new Noise(sampleRate);
+
+        // Smoothed copy of the params being rendered
+        this.targetParams = null;
+        this.targets = null;
+        this.current = null;
+        this.wave = new WaveSource(sampleRate);
+
+        // Harmonics being rendered, matched to params.harmonics by id
+        this.partials = [];
+
+        // Place within a unison stack: -1 to 1 across the detune and stereo spread
+        this.unisonPosition = 0;
+        this.unisonGain = 1;
+
+        // Age in samples since note-on and since release
+        this.age = 0;
+        this.releaseAge = null;
+    }
+
+    /**
+     * Start the voice from silence
+     * @param {boolean} steady - Skip the envelope and hold full level (scope preview)
+     * @param {number} seed - Seed for noise and random LFOs (defaults to the note, so the preview repeats)
+     */
+    start(note, frequency, velocity = 1, steady = false, seed = note) {
+        this.note = note;
+        this.frequency = frequency;
+        this.targetFrequency = frequency;
+        this.glideLength = 0;
+        this.velocity = velocity;
+
+        this.phase = 0;
+        this.osc2PhaseAcc = 0;
+        this.subCycles = 0;
+        this.amLfo.reset(seed * 3 + 1);
+        this.fmLfo.reset(seed * 3 + 2);
+        this.noise.reset(seed * 3 + 3);
+        this.targetParams = null;
+        this.current = null;
+        this.partials = [];
+        this.filter = new Filter(this.sampleRate);
+        this.filterCountdown = 0;
+        this.age = 0;
+        this.releaseAge = null;
+
+        this.modMatrix.start(steady);
+        this.operatorStack.start(steady);
+        this.osc2Operators.start(steady);
+
+        this.envelope.level = 0;
+        if (steady) {
+            this.envelope.hold();
+        } else {
+            this.envelope.trigger();
+        }
+    }
+
+    /**
+     * Make this voice one copy of a unison stack (call right after start())
+     * @param {number} position - -1 (lowest, far left) to 1 (highest, far right)
+     * @param {number} gain - Level of this copy, so the stack is about as loud as one voice
+     * @param {number} phase - Start phase in cycles, so the copies do not start in step
+     */
+    setUnison(position, gain, phase) {
+        this.unisonPosition = position;
+        this.unisonGain = gain;
+        this.phase = phase;
+        this.osc2PhaseAcc = phase;
+    }
+
+    release(releaseTime) {
+        this.envelope.release(releaseTime);
+        this.modMatrix.release();
+        this.operatorStack.release();
+        this.osc2Operators.release();
+        this.releaseAge = 0;
+    }
+
+    isActive() {
+        return this.envelope.isActive();
+    }
+
+    /**
+     * Move the pitch to a new frequency
+     * @param {number} frequency - Target frequency in Hz
+     * @param {number} glideTime - Glide duration in seconds (0 jumps straight there)
+     * @param {string} curve - 'linear' (constant Hz per second) | 'exponential' (constant semitones per second)
+     */
+    glideTo(frequency, glideTime = 0, curve = 'exponential') {
+        this.targetFrequency = frequency;
+        this.glideFrom = this.frequency;
+        this.glideLength = Math.round((glideTime || 0) * this.sampleRate);
+        this.glidePosition = 0;
+        this.glideCurve = curve;
+
+        if (this.glideLength <= 0) {
+            this.frequency = frequency;
+        }
+    }
+
+    /**
+     * Take a new params object as the target to glide to.
+     * The first params after start() are applied immediately.
+     */
+    retarget(params) {
+        const initial = this.current === null;
+        const current = this.current;
+
+        this.targetParams = params;
+        this.targets = {
+            amplitude: params.amplitude,
+            normalizeGain: normalizeGain(params),
+            phase: initial ? params.phase : current.phase + wrapDegrees(params.phase - current.phase),
+            dutyCycle: params.dutyCycle,
+            smoothing: params.smoothing,
+            amMix: params.amEnabled ? 1 : 0,
+            amFreq: lfoRate(params.amFreq, params.amSync, params.amDivision, params.tempo),
+            amRatio: params.amRatio ?? 1,
+            amRing: params.amMode === 'ring' ? 1 : 0,
+            amDepth: params.amDepth,
+            fmMix: params.fmEnabled ? 1 : 0,
+            fmFreq: lfoRate(params.fmFreq, params.fmSync, params.fmDivision, params.tempo),
+            fmDepth: params.fmDepth,
+            wavetablePosition: params.wavetablePosition ?? 0,
+            wavetableModDepth: params.wavetableModDepth ?? 0,
+            filterCutoff: params.filterCutoff ?? 20000,
+            filterResonance: params.filterResonance ?? 0.707,
+            filterGain: params.filterGain ?? 0,
+            filterEnvAmount: params.filterEnvAmount ?? 0,
+            filterKeyTrack: params.filterKeyTrack ?? 0,
+            noiseLevel: params.noiseEnabled ? params.noiseLevel ?? 0 : 0,
+            noiseFiltered: params.noiseFiltered ? 1 : 0,
+            unisonDetune: params.unisonDetune ?? 0,
+            unisonWidth: params.unisonWidth ?? 0,
+            osc2Mix: params.osc2Enabled ? params.osc2Level ?? 0 : 0,
+            osc2Detune: (params.osc2Octave || 0) * 12 + (params.osc2Semitones || 0) + (params.osc2Cents || 0) / 100,
+            osc2Phase: initial ? params.osc2Phase ?? 0 : current.osc2Phase + wrapDegrees((params.osc2Phase ?? 0) - current.osc2Phase),
+            osc2DutyCycle: params.osc2DutyCycle ?? 50,
+            osc2Smoothing: params.osc2Smoothing ?? 0,
+            subMix: params.subEnabled ? params.subLevel ?? 0 : 0
+        };
+        if (initial) {
+            this.current = { ...this.targets };
+        }
+
+        const osc2WaveType = params.osc2WaveType || 'sine';
+        this.wave.set(params.waveType, waveTableFor(params.waveType, params), initial);
+        this.osc2Wave.set(osc2WaveType, waveTableFor(osc2WaveType, params), initial);
+        this.wave.setBandLimit(params.oscQuality === 'high');
+        this.osc2Wave.setBandLimit(params.oscQuality === 'high');
+
+        // Removed harmonics fade out; new ones fade in, in phase with the fundamental
+        this.partials.forEach(partial => {
+            partial.target = null;
+        });
+        params.harmonics.forEach((harmonic, index) => {
+            const id = harmonic.id ?? index;
+            let partial = this.partials.find(p => p.id === id);
+            if (!partial) {
+                partial = {
+                    id,
+                    multiplier: harmonic.multiplier,
+                    amplitude: initial ? harmonic.amplitude : 0,
+                    phase: harmonic.phase,
+                    phaseAcc: (this.phase * harmonic.multiplier) % 1,
+                    modAmplitude: 0, // Set by the modulation matrix each sample
+                    modPhase: 0
+                };
+                this.partials.push(partial);
+            }
+            partial.target = {
+                multiplier: harmonic.multiplier,
+                amplitude: harmonic.amplitude,
+                phase: partial.phase + wrapDegrees(harmonic.phase - partial.phase)
+            };
+        });
+
+        this.modMatrix.retarget(params, this.partials, initial);
+        this.operatorStack.retarget(params, initial);
+        this.osc2Operators.retarget(params, initial);
+    }
+
+    /**
+     * Run the LFOs forward as if the note had been held for a while, so the
+     * scope preview can animate sweeping modulation. Call right after start().
+     * @param {number} seconds - Time since the note started
+     * @param {Object} params - Synth params about to be rendered
+     */
+    seekModulation(seconds, params) {
+        this.retarget(params);
+        const current = this.current;
+        // An AM ratio follows the note, so it stays locked to the waveform instead
+        if (params.amRateMode !== 'ratio') {
+            this.amLfo.seek(current.amFreq * seconds);
+        }
+        this.fmLfo.seek(current.fmFreq * seconds);
+        this.modMatrix.seek(seconds);
+    }
+
+    /**
+     * Render the voice and add it into an output buffer
+     * @param {Float32Array} output - Buffer to mix into (left channel when rendering stereo)
+     * @param {number} start - First sample index
+     * @param {number} end - Sample index to stop before
+     * @param {Object} params - Synth params
+     * @param {Float32Array} outputRight - Right channel buffer, or null to render mono without panning
+     */
+    render(output, start, end, params, outputRight = null) {
+        const initial = this.age === 0;
+        if (params !== this.targetParams) {
+            this.retarget(params);
+        }
+        this.wave.beginBlock();
+        this.osc2Wave.beginBlock();
+        const filterType = params.filterEnabled ? params.filterType : null;
+        // 'draft' renders the naive shapes; 'standard' and 'high' band-limit them
+        const bandLimit = params.oscQuality !== 'draft';
+
+        const sampleRate = this.sampleRate;
+        const coeff = this.smoothingCoeff;
+        const current = this.current;
+        const targets = this.targets;
+        const partials = this.partials;
+        const shape = this.shape;
+
+        for (let i = start; i < end; i++) {
+            if (!this.envelope.isActive()) {
+                break;
+            }
+            const envelopeLevel = this.envelope.next(params);
+
+            // Portamento
+            if (this.glidePosition < this.glideLength) {
+                this.glidePosition++;
+                const progress = this.glidePosition / this.glideLength;
+                if (this.glideCurve === 'linear') {
+                    this.frequency = this.glideFrom + (this.targetFrequency - this.glideFrom) * progress;
+                } else {
+                    this.frequency = this.glideFrom * Math.pow(this.targetFrequency / this.glideFrom, progress);
+                }
+            }
+
+            // Glide continuous params towards their targets
+            for (const key of SMOOTHED_PARAMS) {
+                current[key] += (targets[key] - current[key]) * coeff;
+            }
+            const phaseOffset = current.phase / 360;
+
+            // Modulation matrix
+            const mod = this.modMatrix.next(params, partials);
+            shape.dutyCycle = Math.max(1, Math.min(99, current.dutyCycle + mod.dutyCycle));
+            shape.smoothing = Math.max(0, Math.min(1, current.smoothing + mod.smoothing));
+
+            // Frequency modulation shifts the instantaneous frequency of the whole voice
+            // Unison detune spreads the copies over unisonDetune cents in total
+            const semitones = mod.frequency + this.unisonPosition * current.unisonDetune / 200;
+            const pitch = semitones === 0 ? this.frequency : this.frequency * Math.pow(2, semitones / 12);
+            const frequency = pitch + current.fmMix * current.fmDepth * this.fmLfo.next(current.fmFreq, params.fmShape);
+
+            // The AM-style LFO drives amplitude modulation and can also sweep the wavetable position.
+            // As a ratio it runs at audio rate and follows the note, for ring modulation.
+            const amRate = params.amRateMode === 'ratio' ? pitch * current.amRatio : current.amFreq;
+            const lfo = this.amLfo.next(amRate, params.amShape);
+            let position = current.wavetablePosition;
+            if (params.wavetableModSource === 'lfo') {
+                position += current.wavetableModDepth * lfo;
+            }
+
+            // Base waveform, crossfading after a wave type change.
+            // FM operators run while their wave type is heard, including while crossfading away from it.
+            const operatorSample = this.wave.uses('fm') ? this.operatorStack.next(frequency) : 0;
+            const increment = bandLimit ? Math.abs(frequency) / sampleRate : 0;
+            let sample = this.wave.next(wrapCycle(this.phase + phaseOffset), shape, position, operatorSample, increment);
+
+            // Sub-oscillator one or two octaves down: one of its cycles spans 2 or 4 main cycles,
+            // so it follows glide, FM and pitch changes without drifting. Harmonics do not affect it.
+            if (current.subMix > SILENCE_LEVEL) {
+                const divisor = params.subOctave === 2 ? 4 : 2;
+                const subPhase = wrapCycle((this.subCycles % divisor + this.phase + phaseOffset) / divisor);
+                sample += current.subMix * waveformAt(params.subWaveType || 'square', subPhase, SUB_SHAPE, null, 0, increment / divisor);
+            }
+
+            this.phase += frequency / sampleRate;
+            const cycleEnded = this.phase >= 1;
+            this.phase -= Math.floor(this.phase);
+            if (cycleEnded) {
+                this.subCycles = (this.subCycles + 1) % 4;
+            }
+
+            // Second oscillator; hard sync restarts its cycle whenever the main oscillator's ends
+            const osc2Frequency = frequency * Math.pow(2, current.osc2Detune / 12);
+            if (current.osc2Mix > SILENCE_LEVEL) {
+                this.osc2Shape.dutyCycle = current.osc2DutyCycle;
+                this.osc2Shape.smoothing = current.osc2Smoothing;
+                const osc2OperatorSample = this.osc2Wave.uses('fm') ? this.osc2Operators.next(osc2Frequency) : 0;
+                const osc2Phase = wrapCycle(this.osc2PhaseAcc + current.osc2Phase / 360);
+                const osc2Increment = bandLimit ? Math.abs(osc2Frequency) / sampleRate : 0;
+                sample += current.osc2Mix * this.osc2Wave.next(osc2Phase, this.osc2Shape, position, osc2OperatorSample, osc2Increment);
+            }
+            if (params.osc2Sync && cycleEnded && frequency > 0) {
+                // Start the new cycle part-way in, by how far the main oscillator is past its reset
+                this.osc2PhaseAcc = this.phase * osc2Frequency / frequency;
+            } else {
+                this.osc2PhaseAcc += osc2Frequency / sampleRate;
+            }
+            this.osc2PhaseAcc -= Math.floor(this.osc2PhaseAcc);
+
+            // Add harmonics
+            for (let h = 0; h < partials.length; h++) {
+                const partial = partials[h];
+                const target = partial.target;
+                if (target) {
+                    partial.multiplier += (target.multiplier - partial.multiplier) * coeff;
+                    partial.amplitude += (target.amplitude - partial.amplitude) * coeff;
+                    partial.phase += (target.phase - partial.phase) * coeff;
+                } else {
+                    partial.amplitude -= partial.amplitude * coeff;
+                }
+
+                // Band-limited rendering fades out harmonics as they approach Nyquist
+                const harmonicIncrement = frequency * partial.multiplier / sampleRate;
+                const audible = bandLimit ? Math.max(0, Math.min(1, (0.5 - Math.abs(harmonicIncrement)) / NYQUIST_FADE)) : 1;
+                const harmonicPhase = partial.phaseAcc + phaseOffset + (partial.phase + partial.modPhase) / 360;
+                sample += (partial.amplitude + partial.modAmplitude) * audible * Math.sin(TWO_PI * harmonicPhase);
+
+                partial.phaseAcc += harmonicIncrement;
+                partial.phaseAcc -= Math.floor(partial.phaseAcc);
+            }
+
+            // Noise has its own level and goes through the filter or around it
+            const noise = current.noiseLevel > SILENCE_LEVEL ? this.noise.next(params.noiseType) * current.noiseLevel : 0;
+            sample = sample * current.amplitude * current.normalizeGain + noise * current.noiseFiltered;
+
+            // Filter, with cutoff following the envelope (in octaves) and the note pitch
+            if (this.filterCountdown <= 0) {
+                const cutoff = current.filterCutoff *
+                    Math.pow(2, current.filterEnvAmount * envelopeLevel + mod.filterCutoff) *
+                    Math.pow(this.frequency / KEY_TRACK_REFERENCE, current.filterKeyTrack);
+                this.filter.setup(filterType, cutoff, current.filterResonance, current.filterGain, initial && i === start);
+                this.filterCountdown = FILTER_CONTROL_INTERVAL;
+            }
+            this.filterCountdown--;
+            sample = this.filter.process(sample) + noise * (1 - current.noiseFiltered);
+
+            // Amplitude modulation: classic AM keeps the carrier (1 + depth * lfo),
+            // ring modulation suppresses it (1 - depth + depth * lfo)
+            const gain = (1 + current.amMix * current.amDepth * (lfo - current.amRing)) * Math.max(0, 1 + mod.amplitude);
+            const value = sample * gain * envelopeLevel * this.velocity * this.unisonGain;
+
+            if (outputRight) {
+                // Balance-style pan: the centre keeps full level in both channels
+                const pan = Math.max(-1, Math.min(1, mod.pan + this.unisonPosition * current.unisonWidth));
+                output[i] += value * Math.min(1, 1 - pan);
+                outputRight[i] += value * Math.min(1, 1 + pan);
+            } else {
+                output[i] += value;
+            }
+
+            this.age++;
+            if (this.releaseAge !== null) {
+                this.releaseAge++;
+            }
+        }
+
+        // Drop harmonics that have faded out
+        if (partials.some(partial => !partial.target && Math.abs(partial.amplitude) < SILENCE_LEVEL)) {
+            this.partials = partials.filter(partial => partial.target || Math.abs(partial.amplitude) >= SILENCE_LEVEL);
+        }
+    }
+}
+
+/**
+ * One note played by several detuned, panned copies of a SynthVoice (unison).
+ * Offers the same interface as a single SynthVoice, so the engine and the scope
+ * preview do not need to know how many copies there are.
+ */
+export class UnisonVoice {
+    /**
+     * @param {number} count - Number of copies, 1-16
+     */
+    constructor(sampleRate, count = 1) {
+        this.voices = Array.from({ length: Math.max(1, Math.min(16, count || 1)) }, () => new SynthVoice(sampleRate));
+    }
+
+    get envelope() {
+        return this.voices[0].envelope;
+    }
+
+    get age() {
+        return this.voices[0].age;
+    }
+
+    get releaseAge() {
+        return this.voices[0].releaseAge;
+    }
+
+    get note() {
+        return this.voices[0].note;
+    }
+
+    set note(note) {
+        this.voices.forEach(voice => {
+            voice.note = note;
+        });
+    }
+
+    /**
+     * Start every copy, spread evenly across the detune and stereo range
+     * @param {number} seed - Seed for noise, random LFOs and the random start phases
+     */
+    start(note, frequency, velocity = 1, steady = false, seed = note) {
+        const count = this.voices.length;
+        const random = new Random(seed);
+        this.voices.forEach((voice, index) => {
+            voice.start(note, frequency, velocity, steady, seed + index * 101);
+            if (count > 1) {
+                voice.setUnison(index / (count - 1) * 2 - 1, 1 / Math.sqrt(count), (random.next() + 1) / 2);
+            }
+        });
+    }
+
+    release(releaseTime) {
+        this.voices.forEach(voice => voice.release(releaseTime));
+    }
+
+    isActive() {
+        return this.voices.some(voice => voice.isActive());
+    }
+
+    glideTo(frequency, glideTime = 0, curve = 'exponential') {
+        this.voices.forEach(voice => voice.glideTo(frequency, glideTime, curve));
+    }
+
+    seekModulation(seconds, params) {
+        this.voices.forEach(voice => voice.seekModulation(seconds, params));
+    }
+
+    render(output, start, end, params, outputRight = null) {
+        this.voices.forEach(voice => voice.render(output, start, end, params, outputRight));
+    }
+}
+
+/**
+ * Polyphonic engine: allocates SynthVoices to notes and mixes them
+ */
+export class SynthEngine {
+    constructor(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.params = null;
+        this.currentFrame = 0;
+
+        // Pitch of the most recent note, where portamento glides from
+        this.lastFrequency = null;
+
+        this.allocator = new VoiceAllocator({
+            getVoiceLevel: (voice) => voice.synth.envelope.level
+        });
+
+        // Stolen voices fade out quickly outside the allocator
+        this.fadingVoices = [];
+    }
+
+    get currentTime() {
+        return this.currentFrame / this.sampleRate;
+    }
+
+    setParams(params) {
+        this.params = params;
+        this.allocator.stealMode = params.voiceStealMode || 'oldest';
+
+        const stolen = this.allocator.setMaxVoices(params.voiceCount || 8, this.currentTime);
+        stolen.forEach(voice => this.fadeOut(voice));
+        return stolen;
+    }
+
+    /**
+     * Start a voice for a note
+     * @param {boolean} glide - Glide into the note from the previous note's pitch
+     * @returns {Object[]} Voices that were stolen to make room
+     */
+    noteOn(note, frequency, velocity = 1, glide = false) {
+        const { voice, stolen } = this.allocator.noteOn(note, this.currentTime, { frequency, velocity });
+        stolen.forEach(stolenVoice => this.fadeOut(stolenVoice));
+
+        // Seeded by start time so repeated notes get fresh noise
+        voice.synth = new UnisonVoice(this.sampleRate, this.params.unisonCount);
+        if (glide && this.lastFrequency !== null) {
+            voice.synth.start(note, this.lastFrequency, velocity, false, this.currentFrame);
+            voice.synth.glideTo(frequency, this.params.glideTime, this.params.glideCurve);
+        } else {
+            voice.synth.start(note, frequency, velocity, false, this.currentFrame);
+        }
+        this.lastFrequency = frequency;
+
+        return stolen;
+    }
+
+    /**
+     * Hand a held note's voice over to a new note and glide to its pitch without retriggering
+     * @returns {Object[]} Voices that were stolen (one already playing the new note)
+     */
+    legatoNote(fromNote, note, frequency) {
+        const { voice, stolen } = this.allocator.changeNote(fromNote, note);
+        stolen.forEach(stolenVoice => this.fadeOut(stolenVoice));
+
+        if (!voice) {
+            return stolen.concat(this.noteOn(note, frequency));
+        }
+
+        voice.frequency = frequency;
+        voice.synth.note = note;
+        voice.synth.glideTo(frequency, this.params.glideTime, this.params.glideCurve);
+        this.lastFrequency = frequency;
+
+        return stolen;
+    }
+
+    noteOff(note) {
+        const voice = this.allocator.noteOff(note, this.currentTime);
+        if (voice) {
+            voice.synth.release(this.params.envRelease);
+        }
+    }
+
+    /**
+     * Release every held voice
+     * @param {boolean} immediate - Use a short declick fade instead of the release time
+     */
+    allNotesOff(immediate = false) {
+        this.allocator.getHeldVoices().forEach(voice => {
+            this.allocator.noteOff(voice.note, this.currentTime);
+            voice.synth.release(immediate ? 0.005 : this.params.envRelease);
+        });
+    }
+
+    /**
+     * Retune a held note
+     * @param {boolean} glide - Glide using the portamento settings instead of jumping
+     */
+    setNoteFrequency(note, frequency, glide = false) {
+        const voice = this.allocator.findHeldVoice(note);
+        if (voice) {
+            voice.frequency = frequency;
+            voice.synth.glideTo(frequency, glide ? this.params.glideTime : 0, this.params.glideCurve);
+            this.lastFrequency = frequency;
+        }
+    }
+
+    fadeOut(voice) {
+        voice.synth.release(0.005);
+        this.fadingVoices.push(voice);
+    }
+
+    /**
+     * Render the next block of all voices
+     * @param {Float32Array} output - Buffer to fill (left channel when rendering stereo)
+     * @param {Float32Array} outputRight - Right channel buffer, or null for mono
+     */
+    process(output, outputRight = null) {
+        output.fill(0);
+        if (outputRight) {
+            outputRight.fill(0);
+        }
+
+        if (this.params) {
+            this.allocator.getVoices().forEach(voice => {
+                voice.synth.render(output, 0, output.length, this.params, outputRight);
+                if (!voice.synth.isActive()) {
+                    this.allocator.freeVoice(voice);
+                }
+            });
+
+            this.fadingVoices.forEach(voice => voice.synth.render(output, 0, output.length, this.params, outputRight));
+            this.fadingVoices = this.fadingVoices.filter(voice => voice.synth.isActive());
+        }
+
+        this.currentFrame += output.length;
+    }
+
+    /**
+     * Snapshot of sounding voices for the UI (envelope markers)
+     */
+    getVoiceStates() {
+        return this.allocator.getVoices().map(voice => ({
+            note: voice.note,
+            state: voice.state,
+            level: voice.synth.envelope.level,
+            age: voice.synth.age / this.sampleRate,
+            releaseAge: voice.synth.releaseAge === null ? null : voice.synth.releaseAge / this.sampleRate,
+            releaseTime: voice.synth.envelope.releaseDuration
+        }));
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Synth Processor
+ * AudioWorklet processor that runs the shared synth core for speaker output.
+ * Controlled through its message port by WaveformGenerator, immediately or with
+ * timed messages (melody playback and offline renders).
+ */
+
+import { SynthEngine } from './synthCore.js';
+
+// How often voice states are reported back for the UI (per second)
+const VOICE_REPORT_RATE = 30;
+
+class SynthProcessor extends AudioWorkletProcessor {
+    /**
+     * @param {Object} options.processorOptions - { params, schedule } for offline renders:
+     *     the patch, and { time, message } entries handled when the context reaches their time (seconds)
+     */
+    constructor(options) {
+        super();
+
+        this.engine = new SynthEngine(sampleRate);
+        this.framesSinceReport = 0;
+
+        const { params = null, schedule = [] } = options?.processorOptions || {};
+        if (params) {
+            this.engine.setParams(params);
+        }
+        this.schedule = [...schedule].sort((a, b) => a.time - b.time);
+
+        this.port.onmessage = (event) => this.handleMessage(event.data);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'params':
+                this.reportStolen(this.engine.setParams(message.params));
+                break;
+            case 'noteOn':
+                this.reportStolen(this.engine.noteOn(message.note, message.frequency, message.velocity, message.glide), message.note);
+                break;
+            case 'legato':
+                this.reportStolen(this.engine.legatoNote(message.fromNote, message.note, message.frequency), message.note);
+                break;
+            case 'noteOff':
+                this.engine.noteOff(message.note);
+                break;
+            case 'allNotesOff':
+                this.engine.allNotesOff(message.immediate);
+                break;
+            case 'setFrequency':
+                this.engine.setNoteFrequency(message.note, message.frequency, message.glide);
+                break;
+            case 'schedule':
+                this.schedule.push(...message.events);
+                this.schedule.sort((a, b) => a.time - b.time);
+                break;
+            case 'clearSchedule':
+                this.schedule = [];
+                break;
+            default:
+                console.warn(`Unknown synth message type: ${message.type}`);
+        }
+    }
+
+    /**
+     * Tell the main thread which held notes lost their voice
+     * @param {number} retriggeredNote - Note that replaced its own voice (not reported)
+     */
+    reportStolen(stolen, retriggeredNote = null) {
+        const notes = stolen
+            .filter(voice => voice.state === 'held' && voice.note !== retriggeredNote)
+            .map(voice => voice.note);
+
+        if (notes.length > 0) {
+            this.port.postMessage({ type: 'stolen', notes });
+        }
+    }
+
+    process(inputs, outputs) {
+        // Scheduled messages start at the first render quantum on or after their time
+        while (this.schedule.length > 0 && this.schedule[0].time <= currentTime) {
+            this.handleMessage(this.schedule.shift().message);
+        }
+
+        const [left, right] = outputs[0];
+        this.engine.process(left, right || null);
+
+        this.framesSinceReport += left.length;
+        if (this.framesSinceReport >= sampleRate / VOICE_REPORT_RATE) {
+            this.framesSinceReport = 0;
+            this.port.postMessage({ type: 'voices', voices: this.engine.getVoiceStates() });
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('waveform-synth', SynthProcessor);
@@ -0,0 +1,142 @@
+/**
+ * Voice Allocator
+ * Assigns notes to a fixed pool of synth voices and picks voices to steal when the pool is full.
+ * Knows nothing about audio nodes - callers attach whatever they need to each voice object.
+ */
+
+export default class VoiceAllocator {
+    constructor(options = {}) {
+        this.maxVoices = options.maxVoices || 8;
+        this.stealMode = options.stealMode || 'oldest'; // 'oldest' | 'quietest'
+
+        // Callback returning the current level (0-1) of a voice, used by 'quietest' stealing
+        this.getVoiceLevel = options.getVoiceLevel || (() => 0);
+
+        this.voices = [];
+        this.nextVoiceId = 1;
+    }
+
+    /**
+     * Allocate a voice for a note
+     * @param {number|string} note - MIDI note number, or another id for notes kept apart from the played ones
+     * @param {number} time - Current time, used for age-based stealing
+     * @param {Object} data - Extra properties copied onto the voice (frequency, velocity...)
+     * @returns {{voice: Object, stolen: Object[]}} The new voice and any voices it replaced
+     */
+    noteOn(note, time, data = {}) {
+        const stolen = [];
+
+        // Retriggering a note replaces the voice already playing it
+        const existing = this.voices.find(voice => voice.note === note);
+        if (existing) {
+            this.freeVoice(existing);
+            stolen.push(existing);
+        }
+
+        while (this.voices.length >= this.maxVoices) {
+            const victim = this.selectVictim(time);
+            this.freeVoice(victim);
+            stolen.push(victim);
+        }
+
+        const voice = {
+            ...data,
+            id: this.nextVoiceId++,
+            note: note,
+            startTime: time,
+            releaseTime: null,
+            state: 'held'
+        };
+        this.voices.push(voice);
+
+        return { voice, stolen };
+    }
+
+    /**
+     * Hand a held voice over to another note without retriggering it (legato)
+     * @returns {{voice: Object|null, stolen: Object[]}} The moved voice (null if fromNote
+     *     was not held) and any voice already playing the new note
+     */
+    changeNote(fromNote, toNote) {
+        const voice = this.findHeldVoice(fromNote);
+        if (!voice) {
+            return { voice: null, stolen: [] };
+        }
+
+        const stolen = this.voices.filter(other => other !== voice && other.note === toNote);
+        stolen.forEach(other => this.freeVoice(other));
+
+        voice.note = toNote;
+        return { voice, stolen };
+    }
+
+    /**
+     * Move the held voice for a note into its release stage
+     * @returns {Object|null} The released voice, or null if the note was not held
+     */
+    noteOff(note, time) {
+        const voice = this.findHeldVoice(note);
+        if (!voice) {
+            return null;
+        }
+
+        voice.state = 'releasing';
+        voice.releaseTime = time;
+        return voice;
+    }
+
+    /**
+     * Remove a voice from the pool (its release tail finished or it was stolen)
+     */
+    freeVoice(voice) {
+        const index = this.voices.indexOf(voice);
+        if (index >= 0) {
+            this.voices.splice(index, 1);
+        }
+    }
+
+    /**
+     * Pick the voice to steal: releasing voices go before held ones,
+     * then the oldest or quietest voice within that group
+     */
+    selectVictim(time) {
+        const releasing = this.voices.filter(voice => voice.state === 'releasing');
+        const candidates = releasing.length > 0 ? releasing : this.voices;
+
+        if (this.stealMode === 'quietest') {
+            return candidates.reduce((quietest, voice) => {
+                return this.getVoiceLevel(voice, time) < this.getVoiceLevel(quietest, time) ? voice : quietest;
+            });
+        }
+
+        return candidates.reduce((oldest, voice) => voice.startTime < oldest.startTime ? voice : oldest);
+    }
+
+    /**
+     * Change the pool size
+     * @returns {Object[]} Voices that had to be stolen to fit the new size
+     */
+    setMaxVoices(count, time) {
+        this.maxVoices = Math.max(1, count);
+
+        const stolen = [];
+        while (this.voices.length > this.maxVoices) {
+            const victim = this.selectVictim(time);
+            this.freeVoice(victim);
+            stolen.push(victim);
+        }
+        return stolen;
+    }
+
+    findHeldVoice(note) {
+        return this.voices.find(voice => voice.note === note && voice.state === 'held') || null;
+    }
+
+    getHeldVoices() {
+        return this.voices.filter(voice => voice.state === 'held');
+    }
+
+    getVoices() {
+        return this.voices.slice();
+    }
+}